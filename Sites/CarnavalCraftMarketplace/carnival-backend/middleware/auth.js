@@ -1,68 +1,97 @@
-router.post('/register', async (req, res) => {
-  try {
-    console.log('Real registration attempt:', req.body);
-    
-    const { email, password, firstName, lastName, carnivalGroupId, city } = req.body;
+// middleware/auth.js
+const { User } = require('../models');
+const { verifyToken } = require('../services/tokens');
 
-    // Basic validation
-    if (!email || !password || !firstName || !lastName) {
-      return res.status(400).json({ 
-        error: 'Email, password, first name, and last name are required' 
-      });
-    }
+// Helper function to turn a JWT into its user (null if the user is gone or
+// deactivated, or the token was revoked, e.g. by a password change)
+const resolveUserFromToken = async (token) => {
+  const decoded = verifyToken(token);
+  const user = await User.findByPk(decoded.userId);
+  if (!user || !user.isActive || user.tokenVersion !== (decoded.tokenVersion || 0)) {
+    return null;
+  }
+  return user;
+};
 
-    // Import models
-    const { User, CarnivalGroup } = require('../models');
+// Is a user's session still valid: not deactivated, and not revoked (by a
+// password change or logout-all) since tokenVersion was read? For connections
+// that outlive their token check, such as the event stream.
+const isSessionCurrent = async (user) => {
+  const current = await User.findByPk(user.id, { attributes: ['id', 'isActive', 'tokenVersion'] });
+  return Boolean(current && current.isActive && current.tokenVersion === user.tokenVersion);
+};
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ where: { email } });
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists with this email' });
+// Verify the Bearer token and attach the user to the request. Only an expired
+// or invalid access token gets code TOKEN_EXPIRED: clients renew the session
+// for that one, not for other 401s such as a wrong password.
+const authenticate = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'No token provided', code: 'NO_TOKEN' });
     }
 
-    // Get carnival group
-    let groupId = carnivalGroupId;
-    if (!groupId) {
-      const defaultGroup = await CarnivalGroup.findOne();
-      if (defaultGroup) {
-        groupId = defaultGroup.id;
-      }
+    const token = authHeader.split(' ')[1];
+    const user = await resolveUserFromToken(token);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Session is no longer valid, please log in again',
+        code: 'SESSION_REVOKED'
+      });
     }
 
-    // Hash password
-    const bcrypt = require('bcryptjs');
-    const hashedPassword = await bcrypt.hash(password, 12);
-
-    // Create user
-    const user = await User.create({
-      email,
-      password: hashedPassword,
-      firstName,
-      lastName,
-      carnivalGroupId: groupId,
-      city: city || null
-    });
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Invalid token', code: 'TOKEN_EXPIRED' });
+  }
+};
 
-    // Generate token
-    const jwt = require('jsonwebtoken');
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET || 'carnival-secret-key',
-      { expiresIn: '7d' }
-    );
+// Attach the user when a valid Bearer token is sent, carry on anonymously
+// otherwise (for public routes that show more to owners and moderators)
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      const user = await resolveUserFromToken(authHeader.split(' ')[1]);
+      if (user) {
+        req.user = user;
+      }
+    } catch (error) {
+      // An expired or invalid token is treated like no token
+    }
+  }
+  next();
+};
 
-    res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName },
-      success: true
+// Only let the given roles through (use after authenticate).
+// Platform admins pass every role check.
+const requireRole = (...roles) => (req, res, next) => {
+  if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: 'You do not have permission to do this',
+      code: 'FORBIDDEN'
     });
+  }
+  next();
+};
 
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ 
-      error: 'Server error during registration',
-      details: error.message 
+// Only verified accounts may sell or buy (use after authenticate)
+const requireVerified = (req, res, next) => {
+  if (!req.user.isVerified) {
+    return res.status(403).json({
+      error: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
     });
   }
-});
\ No newline at end of file
+  next();
+};
+
+module.exports = {
+  authenticate,
+  optionalAuth,
+  requireRole,
+  requireVerified,
+  resolveUserFromToken,
+  isSessionCurrent
+};
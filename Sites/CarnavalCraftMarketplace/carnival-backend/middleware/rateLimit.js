@@ -0,0 +1,70 @@
+// middleware/rateLimit.js - Request rate limits per tier
+//
+// Every /api request falls in one tier:
+//   auth  - POST/PUT/DELETE under /api/auth (login, register, refresh...)
+//   write - any other POST/PUT/PATCH/DELETE
+//   read  - GET/HEAD/OPTIONS
+// Counters use the store picked by RATE_LIMIT_STORE (services/rateLimitStore.js).
+const rateLimit = require('express-rate-limit');
+const { createStore } = require('../services/rateLimitStore');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Helper function to read a numeric limit from the environment
+const envLimit = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Stripe retries webhooks on its own schedule
+const isWebhook = (req) => req.originalUrl.startsWith('/api/payments/webhook');
+
+// Helper function to tell which tier a request belongs to
+const tierFor = (req) => {
+  if (READ_METHODS.includes(req.method)) return 'read';
+  if (req.originalUrl.startsWith('/api/auth/')) return 'auth';
+  return 'write';
+};
+
+// Helper function to create a limiter with the shared options
+const createLimiter = (name, { windowMs = FIFTEEN_MINUTES, max, message, skip }) =>
+  rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: createStore(`rl:${name}:`, windowMs),
+    message: { error: message },
+    skip
+  });
+
+const tierLimiter = (tier, max, message) =>
+  createLimiter(tier, {
+    max,
+    message,
+    skip: (req) => isWebhook(req) || tierFor(req) !== tier
+  });
+
+const readLimiter = tierLimiter('read', envLimit('RATE_LIMIT_READ_MAX', 1000),
+  'Too many requests from this IP, please try again later.');
+
+const writeLimiter = tierLimiter('write', envLimit('RATE_LIMIT_WRITE_MAX', 100),
+  'Too many changes from this IP, please try again later.');
+
+const authLimiter = tierLimiter('auth', envLimit('RATE_LIMIT_AUTH_MAX', 20),
+  'Too many authentication attempts from this IP, please try again later.');
+
+// Mounted on /api in server.js
+const apiLimiter = [readLimiter, writeLimiter, authLimiter];
+
+// Password reset has its own, much stricter limit
+const passwordResetLimiter = createLimiter('password-reset', {
+  max: envLimit('RATE_LIMIT_PASSWORD_RESET_MAX', 5),
+  message: 'Too many password reset attempts, please try again later.'
+});
+
+module.exports = {
+  apiLimiter,
+  readLimiter,
+  writeLimiter,
+  authLimiter,
+  passwordResetLimiter
+};
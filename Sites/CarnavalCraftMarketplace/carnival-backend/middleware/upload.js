@@ -0,0 +1,80 @@
+// middleware/upload.js - Multipart image uploads
+const path = require('path');
+const multer = require('multer');
+
+const MAX_PRODUCT_IMAGES = parseInt(process.env.MAX_PRODUCT_IMAGES, 10) || 8;
+const MAX_IMAGE_SIZE = (parseInt(process.env.MAX_IMAGE_SIZE_MB, 10) || 10) * 1024 * 1024;
+
+const ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Helper function to detect the real image type from the file's magic bytes
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+// Files are kept in memory so they can be inspected before anything is written
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_PRODUCT_IMAGES
+  }
+});
+
+// Helper function to run a multer handler and validate what it accepted
+const withImageValidation = (handler) => (req, res, next) => {
+  handler(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Images cannot exceed ${MAX_IMAGE_SIZE / (1024 * 1024)}MB`,
+        LIMIT_FILE_COUNT: `A listing can have at most ${MAX_PRODUCT_IMAGES} images`,
+        LIMIT_UNEXPECTED_FILE: `Unexpected file field "${error.field}"`
+      };
+      return res.status(400).json({ error: messages[error.code] || error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+
+    const files = req.files || (req.file ? [req.file] : []);
+    for (const file of files) {
+      const extension = path.extname(file.originalname).toLowerCase();
+      const detectedType = detectImageType(file.buffer);
+
+      // The extension alone proves nothing, the content has to match too
+      if (!ALLOWED_EXTENSIONS.includes(extension) || !detectedType) {
+        return res.status(400).json({
+          error: `${file.originalname} is not a supported image (JPEG, PNG or WebP)`
+        });
+      }
+      file.detectedType = detectedType;
+    }
+
+    next();
+  });
+};
+
+// Up to MAX_PRODUCT_IMAGES files in the "images" field
+const uploadProductImages = withImageValidation(upload.array('images', MAX_PRODUCT_IMAGES));
+
+// A single file in the "image" field
+const uploadSingleImage = withImageValidation(upload.single('image'));
+
+module.exports = {
+  MAX_PRODUCT_IMAGES,
+  detectImageType,
+  uploadProductImages,
+  uploadSingleImage
+};
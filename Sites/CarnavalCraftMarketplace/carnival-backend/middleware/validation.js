@@ -37,6 +37,9 @@ const registrationSchema = Joi.object({
   }),
   postalCode: Joi.string().max(20).allow('').messages({
     'string.max': 'Postal code cannot exceed 20 characters'
+  }),
+  locale: Joi.string().valid('nl', 'fr', 'en').messages({
+    'any.only': 'Language must be one of: nl, fr, en'
   })
 });
 
@@ -51,6 +54,99 @@ const loginSchema = Joi.object({
   })
 });
 
+// Profile update schema (registration fields, all optional; email and
+// password have their own flows)
+const profileUpdateSchema = registrationSchema
+  .fork(['firstName', 'lastName', 'carnivalGroupId'], schema => schema.optional())
+  .keys({
+    email: Joi.any().forbidden().messages({
+      'any.unknown': 'Email cannot be changed here'
+    }),
+    password: Joi.any().forbidden().messages({
+      'any.unknown': 'Use the change password form to change your password'
+    }),
+    emailPreferences: Joi.object({
+      orders: Joi.boolean(),
+      messages: Joi.boolean(),
+      favorites: Joi.boolean()
+    }).min(1).messages({
+      'object.min': 'Choose at least one email preference to change',
+      'object.unknown': 'Unknown email preference'
+    })
+  })
+  .min(1)
+  .messages({
+    'object.min': 'Nothing to update'
+  });
+
+// Password change schema
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    'any.required': 'Current password is required'
+  }),
+  newPassword: registrationSchema.extract('password')
+    .invalid(Joi.ref('currentPassword'))
+    .messages({
+      'any.invalid': 'New password must be different from the current password',
+      'any.required': 'New password is required'
+    })
+});
+
+// Password reset schemas
+const passwordResetRequestSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  })
+});
+
+const passwordResetSchema = Joi.object({
+  token: Joi.string().hex().length(64).required().messages({
+    'string.hex': 'Invalid reset token',
+    'string.length': 'Invalid reset token',
+    'any.required': 'Reset token is required'
+  }),
+  newPassword: registrationSchema.extract('password').messages({
+    'any.required': 'New password is required'
+  })
+});
+
+// Two-factor authentication schemas
+const twoFactorCode = Joi.string().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': 'The code must be the 6 digits from your authenticator app'
+});
+const recoveryCode = Joi.string().pattern(/^[0-9a-fA-F]{5}-?[0-9a-fA-F]{5}$/).messages({
+  'string.pattern.base': 'Please provide a valid recovery code'
+});
+
+const twoFactorEnableSchema = Joi.object({
+  code: twoFactorCode.required().messages({
+    'any.required': 'Code is required'
+  })
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    'any.required': 'Challenge token is required'
+  }),
+  code: twoFactorCode,
+  recoveryCode
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': 'Provide a code or a recovery code',
+  'object.xor': 'Provide either a code or a recovery code, not both'
+});
+
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required'
+  }),
+  code: twoFactorCode,
+  recoveryCode
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': 'Provide a code or a recovery code',
+  'object.xor': 'Provide either a code or a recovery code, not both'
+});
+
 // Product validation schema
 const productSchema = Joi.object({
   title: Joi.string().min(5).max(100).required().messages({
@@ -115,6 +211,397 @@ const updateProductSchema = Joi.object({
     'string.max': 'Material cannot exceed 100 characters'
   }),
   isAvailable: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'Nothing to update'
+});
+
+// Product status schema (mark as available, reserved or sold)
+const productStatusSchema = Joi.object({
+  status: Joi.string().valid('available', 'reserved', 'sold').required().messages({
+    'any.only': 'Status must be one of available, reserved or sold',
+    'any.required': 'Status is required'
+  })
+});
+
+// Product search query schema (GET /api/products)
+const productSearchSchema = Joi.object({
+  q: Joi.string().trim().max(100).allow(''),
+  category: Joi.string().max(50),
+  carnivalGroupId: Joi.string().uuid().messages({
+    'string.guid': 'Please select a valid carnival group'
+  }),
+  city: Joi.string().trim().max(100),
+  condition: Joi.string().valid('new', 'like-new', 'good', 'fair', 'needs-repair').messages({
+    'any.only': 'Please select a valid condition'
+  }),
+  size: Joi.string().trim().max(50),
+  color: Joi.string().trim().max(50),
+  minPrice: Joi.number().min(0).messages({
+    'number.min': 'Minimum price cannot be negative'
+  }),
+  maxPrice: Joi.number().min(Joi.ref('minPrice', { adjust: (min) => min || 0 })).messages({
+    'number.min': 'Maximum price cannot be below the minimum price'
+  }),
+  isFeatured: Joi.boolean(),
+  sort: Joi.string().valid('relevance', 'newest', 'price_asc', 'price_desc', 'popular').messages({
+    'any.only': 'Sort must be one of relevance, newest, price_asc, price_desc or popular'
+  }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Message validation schema
+const messageSchema = Joi.object({
+  receiverId: Joi.string().uuid().required().messages({
+    'string.guid': 'Please provide a valid recipient',
+    'any.required': 'Recipient is required'
+  }),
+  productId: Joi.string().uuid().allow(null, '').messages({
+    'string.guid': 'Please provide a valid product'
+  }),
+  content: Joi.string().trim().min(1).max(2000).required().messages({
+    'string.empty': 'Message cannot be empty',
+    'string.max': 'Message cannot exceed 2000 characters',
+    'any.required': 'Message content is required'
+  })
+});
+
+// Admin: suspend or reactivate a user (a reason is required to suspend)
+const userStatusSchema = Joi.object({
+  isActive: Joi.boolean().required().messages({
+    'any.required': 'isActive is required'
+  }),
+  reason: Joi.string().trim().max(500).when('isActive', {
+    is: false,
+    then: Joi.required()
+  }).messages({
+    'string.empty': 'Please give a reason',
+    'string.max': 'Reason cannot exceed 500 characters',
+    'any.required': 'Please give a reason for the suspension'
+  })
+});
+
+// Admin: make a user a member or a platform admin
+const userRoleSchema = Joi.object({
+  role: Joi.string().valid('member', 'admin').required().messages({
+    'any.only': 'Role must be member or admin',
+    'any.required': 'Role is required'
+  })
+});
+
+// Admin: verify or unverify a carnival group
+const groupVerificationSchema = Joi.object({
+  verified: Joi.boolean().required().messages({
+    'any.required': 'verified is required'
+  })
+});
+
+// Moderation: hide or restore a listing (a reason is required to hide)
+const productVisibilitySchema = Joi.object({
+  isHidden: Joi.boolean().required().messages({
+    'any.required': 'isHidden is required'
+  }),
+  reason: Joi.string().trim().max(500).when('isHidden', {
+    is: true,
+    then: Joi.required()
+  }).messages({
+    'string.empty': 'Please give a reason',
+    'string.max': 'Reason cannot exceed 500 characters',
+    'any.required': 'Please give a reason for hiding the listing'
+  })
+});
+
+// Admin: feature a listing on the homepage or stop featuring it
+const productFeaturedSchema = Joi.object({
+  isFeatured: Joi.boolean().required().messages({
+    'any.required': 'isFeatured is required'
+  })
+});
+
+// Report of a listing, member, message or review
+const reportSchema = Joi.object({
+  targetType: Joi.string().valid('product', 'user', 'message', 'review').required().messages({
+    'any.only': 'You can report a product, user, message or review',
+    'any.required': 'targetType is required'
+  }),
+  targetId: Joi.string().uuid().required().messages({
+    'string.guid': 'Please provide a valid targetId',
+    'any.required': 'targetId is required'
+  }),
+  reason: Joi.string().valid('counterfeit', 'offensive', 'prohibited', 'scam', 'spam', 'harassment', 'other').required().messages({
+    'any.only': 'Reason must be one of counterfeit, offensive, prohibited, scam, spam, harassment or other',
+    'any.required': 'Please choose a reason'
+  }),
+  // Free text, required when none of the reasons fits
+  details: Joi.when('reason', {
+    is: 'other',
+    then: Joi.string().trim().max(1000).required(),
+    otherwise: Joi.string().trim().max(1000).allow('')
+  }).messages({
+    'string.max': 'Details cannot exceed 1000 characters',
+    'string.empty': 'Please describe the problem',
+    'any.required': 'Please describe the problem'
+  })
+});
+
+// Moderation: close a report
+const reportResolutionSchema = Joi.object({
+  status: Joi.string().valid('actioned', 'dismissed').required().messages({
+    'any.only': 'Status must be actioned or dismissed',
+    'any.required': 'Status is required'
+  }),
+  note: Joi.string().trim().max(1000).allow('').messages({
+    'string.max': 'Note cannot exceed 1000 characters'
+  })
+});
+
+// Request for a new carnival group
+const groupRequestSchema = Joi.object({
+  name: Joi.string().trim().min(3).max(100).required().messages({
+    'string.min': 'Group name must be at least 3 characters long',
+    'string.max': 'Group name cannot exceed 100 characters',
+    'any.required': 'Group name is required'
+  }),
+  city: Joi.string().trim().min(2).max(100).required().messages({
+    'string.min': 'City must be at least 2 characters long',
+    'string.max': 'City cannot exceed 100 characters',
+    'any.required': 'City is required'
+  }),
+  province: Joi.string().trim().max(100).allow('').messages({
+    'string.max': 'Province cannot exceed 100 characters'
+  }),
+  country: Joi.string().trim().max(100).allow('').messages({
+    'string.max': 'Country cannot exceed 100 characters'
+  }),
+  description: Joi.string().trim().max(2000).allow('').messages({
+    'string.max': 'Description cannot exceed 2000 characters'
+  }),
+  website: Joi.string().uri({ scheme: ['http', 'https'] }).max(255).allow('').messages({
+    'string.uri': 'Please provide a valid website address (http or https)',
+    'string.uriCustomScheme': 'Please provide a valid website address (http or https)',
+    'string.max': 'Website cannot exceed 255 characters'
+  })
+});
+
+// Group admins can edit the description and website
+const groupUpdateSchema = groupRequestSchema
+  .fork(['name', 'city', 'province', 'country'], schema => schema.forbidden())
+  .min(1)
+  .messages({
+    'object.min': 'Nothing to update',
+    'any.unknown': 'Only the description and website can be changed'
+  });
+
+// Request to join a group
+const groupJoinSchema = Joi.object({
+  message: Joi.string().trim().max(500).allow('').messages({
+    'string.max': 'Message cannot exceed 500 characters'
+  })
+});
+
+// Group admin: approve or reject a membership request
+const membershipDecisionSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected').required().messages({
+    'any.only': 'Status must be approved or rejected',
+    'any.required': 'Status is required'
+  })
+});
+
+// Group admin: change a member's role in the group
+const membershipRoleSchema = Joi.object({
+  role: Joi.string().valid('member', 'admin').required().messages({
+    'any.only': 'Role must be member or admin',
+    'any.required': 'Role is required'
+  })
+});
+
+// Admin: approve or reject a requested group
+const groupReviewSchema = Joi.object({
+  status: Joi.string().valid('active', 'rejected').required().messages({
+    'any.only': 'Status must be active or rejected',
+    'any.required': 'Status is required'
+  }),
+  note: Joi.string().trim().max(1000).allow('').messages({
+    'string.max': 'Note cannot exceed 1000 characters'
+  })
+});
+
+// Seller: who can see a listing (see services/listingVisibility.js)
+const listingVisibilitySchema = Joi.object({
+  visibility: Joi.string().valid('public', 'group', 'unlisted').required().messages({
+    'any.only': 'Visibility must be one of public, group or unlisted',
+    'any.required': 'Visibility is required'
+  }),
+  visibilityGroupId: Joi.string().uuid().when('visibility', {
+    is: 'group',
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.guid': 'Please select a valid carnival group',
+    'any.unknown': 'Only group-only listings have a group'
+  }),
+  promoteAfterDays: Joi.number().integer().min(1).max(90).allow(null).when('visibility', {
+    is: 'group',
+    otherwise: Joi.forbidden()
+  }).messages({
+    'number.base': 'promoteAfterDays must be a number of days',
+    'number.integer': 'promoteAfterDays must be a whole number of days',
+    'number.min': 'promoteAfterDays must be at least 1',
+    'number.max': 'promoteAfterDays cannot exceed 90',
+    'any.unknown': 'Only group-only listings can be made public later'
+  })
+});
+
+// Buyer's review of a delivered order (multipart, with an optional photo)
+const reviewSchema = Joi.object({
+  orderId: Joi.string().uuid().required().messages({
+    'string.guid': 'Please provide a valid orderId',
+    'any.required': 'orderId is required'
+  }),
+  rating: Joi.number().integer().min(1).max(5).required().messages({
+    'number.base': 'Rating must be a number from 1 to 5',
+    'number.integer': 'Rating must be a whole number from 1 to 5',
+    'number.min': 'Rating must be at least 1',
+    'number.max': 'Rating cannot exceed 5',
+    'any.required': 'Please give a rating'
+  }),
+  text: Joi.string().trim().min(3).max(2000).required().messages({
+    'string.empty': 'Please write a few words about your purchase',
+    'string.min': 'Review must be at least 3 characters long',
+    'string.max': 'Review cannot exceed 2000 characters',
+    'any.required': 'Please write a few words about your purchase'
+  })
+});
+
+// Seller's public reply to a review
+const reviewReplySchema = Joi.object({
+  reply: Joi.string().trim().min(1).max(1000).required().messages({
+    'string.empty': 'Reply cannot be empty',
+    'string.max': 'Reply cannot exceed 1000 characters',
+    'any.required': 'Reply is required'
+  })
+});
+
+// Moderation: hide a review (with a reason) or restore it
+const reviewVisibilitySchema = Joi.object({
+  isHidden: Joi.boolean().required().messages({
+    'any.required': 'isHidden is required'
+  }),
+  reason: Joi.string().trim().max(500).when('isHidden', {
+    is: true,
+    then: Joi.required()
+  }).messages({
+    'string.empty': 'Please give a reason',
+    'string.max': 'Reason cannot exceed 500 characters',
+    'any.required': 'Please give a reason for hiding the review'
+  })
+});
+
+// Filters of a saved search: those of GET /api/products, without sort and paging
+const savedSearchFiltersSchema = productSearchSchema.fork(['sort', 'page', 'limit'], schema => schema.strip());
+
+// A named search with alerts of new matching listings
+const savedSearchSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'Please name your search',
+    'string.max': 'Name cannot exceed 100 characters',
+    'any.required': 'Please name your search'
+  }),
+  filters: savedSearchFiltersSchema.default({}),
+  frequency: Joi.string().valid('immediate', 'daily').default('daily').messages({
+    'any.only': 'Frequency must be immediate or daily'
+  })
+});
+
+const savedSearchUpdateSchema = savedSearchSchema
+  .fork(['name'], schema => schema.optional())
+  .keys({
+    filters: savedSearchFiltersSchema,
+    frequency: Joi.string().valid('immediate', 'daily').messages({
+      'any.only': 'Frequency must be immediate or daily'
+    }),
+    alertsEnabled: Joi.boolean()
+  })
+  .min(1)
+  .messages({
+    'object.min': 'Nothing to update'
+  });
+
+// Unsubscribe link from an alert email
+const savedSearchUnsubscribeSchema = Joi.object({
+  token: Joi.string().pattern(/^[0-9a-f]{64}$/).required().messages({
+    'string.pattern.base': 'Invalid unsubscribe link',
+    'string.empty': 'Invalid unsubscribe link',
+    'any.required': 'Invalid unsubscribe link'
+  })
+});
+
+// Admin console list filters (GET /api/admin/...). Every filter is a single
+// value of the column's type, so bad input is a 400 rather than a database error.
+const pageQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100)
+});
+
+const adminSearchQuerySchema = pageQuerySchema.keys({
+  q: Joi.string().trim().max(100).allow('')
+});
+
+const adminUserListSchema = adminSearchQuerySchema.keys({
+  role: Joi.string().valid('member', 'admin').messages({
+    'any.only': 'Role must be member or admin'
+  }),
+  isActive: Joi.boolean(),
+  carnivalGroupId: Joi.string().uuid().messages({
+    'string.guid': 'Please select a valid carnival group'
+  })
+});
+
+const adminGroupListSchema = adminSearchQuerySchema.keys({
+  verified: Joi.boolean(),
+  status: Joi.string().valid('pending', 'active', 'rejected').messages({
+    'any.only': 'Status must be pending, active or rejected'
+  })
+});
+
+const adminProductListSchema = adminSearchQuerySchema.keys({
+  isHidden: Joi.boolean(),
+  isFeatured: Joi.boolean(),
+  sellerId: Joi.string().uuid().messages({
+    'string.guid': 'Please provide a valid seller'
+  })
+});
+
+const adminReportListSchema = pageQuerySchema.keys({
+  status: Joi.string().valid('open', 'actioned', 'dismissed', 'all').default('open').messages({
+    'any.only': 'Status must be open, actioned, dismissed or all'
+  }),
+  targetType: Joi.string().valid('product', 'user', 'message', 'review').messages({
+    'any.only': 'Type must be product, user, message or review'
+  }),
+  reason: Joi.string().valid('counterfeit', 'offensive', 'prohibited', 'scam', 'spam', 'harassment', 'other').messages({
+    'any.only': 'Please select a valid reason'
+  })
+});
+
+const adminOrderListSchema = adminSearchQuerySchema.keys({
+  status: Joi.string().valid('pending', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded').messages({
+    'any.only': 'Please select a valid order status'
+  }),
+  buyerId: Joi.string().uuid().messages({
+    'string.guid': 'Please provide a valid buyer'
+  }),
+  sellerId: Joi.string().uuid().messages({
+    'string.guid': 'Please provide a valid seller'
+  })
+});
+
+const auditLogQuerySchema = pageQuerySchema.keys({
+  action: Joi.string().max(100),
+  targetType: Joi.string().max(50),
+  targetId: Joi.string().max(100),
+  actorId: Joi.string().uuid().messages({
+    'string.guid': 'Please provide a valid actor'
+  })
 });
 
 // Validation middleware functions
@@ -148,6 +635,111 @@ const validateLogin = (req, res, next) => {
   next();
 };
 
+const validateProfileUpdate = (req, res, next) => {
+  const { error } = profileUpdateSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validatePasswordChange = (req, res, next) => {
+  const { error } = changePasswordSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validatePasswordResetRequest = (req, res, next) => {
+  const { error } = passwordResetRequestSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validatePasswordReset = (req, res, next) => {
+  const { error } = passwordResetSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateTwoFactorEnable = (req, res, next) => {
+  const { error } = twoFactorEnableSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateTwoFactorLogin = (req, res, next) => {
+  const { error } = twoFactorLoginSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateTwoFactorDisable = (req, res, next) => {
+  const { error } = twoFactorDisableSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
 const validateProduct = (req, res, next) => {
   const { error } = productSchema.validate(req.body, { abortEarly: false });
   if (error) {
@@ -178,9 +770,516 @@ const validateProductUpdate = (req, res, next) => {
   next();
 };
 
+const validateProductStatus = (req, res, next) => {
+  const { error } = productStatusSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateListingVisibility = (req, res, next) => {
+  const { error } = listingVisibilitySchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateMessage = (req, res, next) => {
+  const { error } = messageSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+// Validates the query string and exposes the normalized filters as req.filters;
+// unknown parameters (cache busters, utm_* tags) are dropped, not rejected
+const validateProductSearch = (req, res, next) => {
+  const { error, value } = productSearchSchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  req.filters = value;
+  next();
+};
+
+const validateUserStatus = (req, res, next) => {
+  const { error } = userStatusSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateUserRole = (req, res, next) => {
+  const { error } = userRoleSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateGroupVerification = (req, res, next) => {
+  const { error } = groupVerificationSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateProductVisibility = (req, res, next) => {
+  const { error } = productVisibilitySchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateProductFeatured = (req, res, next) => {
+  const { error } = productFeaturedSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateReport = (req, res, next) => {
+  const { error } = reportSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateReportResolution = (req, res, next) => {
+  const { error } = reportResolutionSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateGroupRequest = (req, res, next) => {
+  const { error } = groupRequestSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateGroupUpdate = (req, res, next) => {
+  const { error } = groupUpdateSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateGroupJoin = (req, res, next) => {
+  const { error } = groupJoinSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateMembershipDecision = (req, res, next) => {
+  const { error } = membershipDecisionSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateMembershipRole = (req, res, next) => {
+  const { error } = membershipRoleSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateGroupReview = (req, res, next) => {
+  const { error } = groupReviewSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateReview = (req, res, next) => {
+  const { error } = reviewSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateReviewReply = (req, res, next) => {
+  const { error } = reviewReplySchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateReviewVisibility = (req, res, next) => {
+  const { error } = reviewVisibilitySchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+const validateSavedSearch = (req, res, next) => {
+  const { error, value } = savedSearchSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  // Filters are stored as validated (numbers converted, sort and paging dropped)
+  req.body = value;
+  next();
+};
+
+const validateSavedSearchUpdate = (req, res, next) => {
+  const { error, value } = savedSearchUpdateSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  // Filters are stored as validated (numbers converted, sort and paging dropped)
+  req.body = value;
+  next();
+};
+
+const validateSavedSearchUnsubscribe = (req, res, next) => {
+  const { error } = savedSearchUnsubscribeSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  next();
+};
+
+// Admin console list filters, exposed as req.filters like validateProductSearch
+const validateAdminUserList = (req, res, next) => {
+  const { error, value } = adminUserListSchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  req.filters = value;
+  next();
+};
+
+const validateAdminGroupList = (req, res, next) => {
+  const { error, value } = adminGroupListSchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  req.filters = value;
+  next();
+};
+
+const validateAdminProductList = (req, res, next) => {
+  const { error, value } = adminProductListSchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  req.filters = value;
+  next();
+};
+
+const validateAdminReportList = (req, res, next) => {
+  const { error, value } = adminReportListSchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  req.filters = value;
+  next();
+};
+
+const validateAdminOrderList = (req, res, next) => {
+  const { error, value } = adminOrderListSchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  req.filters = value;
+  next();
+};
+
+const validateAuditLogQuery = (req, res, next) => {
+  const { error, value } = auditLogQuerySchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path[0],
+      message: detail.message
+    }));
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+  req.filters = value;
+  next();
+};
+
+// Rejects route parameters that aren't UUIDs before they reach the database
+const validateUuidParam = (name) => (req, res, next) => {
+  const { error } = Joi.string().uuid().validate(req.params[name]);
+  if (error) {
+    return res.status(400).json({ error: `Invalid ${name}` });
+  }
+  next();
+};
+
+// Same for the optional productId that selects a message thread (query
+// string or body)
+const validateThreadProduct = (req, res, next) => {
+  const productId = (req.body && req.body.productId) || req.query.productId;
+  if (productId && Joi.string().uuid().validate(productId).error) {
+    return res.status(400).json({ error: 'Invalid productId' });
+  }
+  next();
+};
+
 module.exports = {
+  productSearchSchema,
   validateRegistration,
   validateLogin,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validateTwoFactorEnable,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
   validateProduct,
-  validateProductUpdate
+  validateProductUpdate,
+  validateProductStatus,
+  validateListingVisibility,
+  validateProductSearch,
+  validateMessage,
+  validateUserStatus,
+  validateUserRole,
+  validateGroupVerification,
+  validateProductVisibility,
+  validateProductFeatured,
+  validateReport,
+  validateReportResolution,
+  validateGroupRequest,
+  validateGroupUpdate,
+  validateGroupJoin,
+  validateMembershipDecision,
+  validateMembershipRole,
+  validateGroupReview,
+  validateReview,
+  validateReviewReply,
+  validateReviewVisibility,
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validateSavedSearchUnsubscribe,
+  validateAdminUserList,
+  validateAdminGroupList,
+  validateAdminProductList,
+  validateAdminReportList,
+  validateAdminOrderList,
+  validateAuditLogQuery,
+  validateUuidParam,
+  validateThreadProduct
 };
\ No newline at end of file
@@ -79,6 +79,24 @@ const CarnivalGroup = sequelize.define('CarnivalGroup', {
   verified: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
+  },
+  // Groups requested by members stay 'pending' until an admin reviews them
+  status: {
+    type: DataTypes.ENUM('pending', 'active', 'rejected'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  reviewNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  requestedById: {
+    type: DataTypes.UUID,
+    allowNull: true // null for seeded groups
   }
 }, {
   tableName: 'carnival_groups',
@@ -140,6 +158,69 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  // Incremented to revoke every token issued before (see services/tokens.js)
+  tokenVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // SHA-256 of the emailed reset token; the token itself is never stored
+  passwordResetTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  passwordResetExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // TOTP two-factor authentication (see services/twoFactor.js)
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  twoFactorSecret: {
+    type: DataTypes.STRING,
+    allowNull: true // encrypted; set during setup, before 2FA is enabled
+  },
+  twoFactorLastUsedStep: {
+    type: DataTypes.BIGINT,
+    allowNull: true // time step of the last accepted code, to refuse replays
+  },
+  twoFactorRecoveryCodes: {
+    type: DataTypes.JSONB,
+    allowNull: true // SHA-256 hashes of the unused recovery codes
+  },
+  // Seller rating from visible reviews (kept current by services/reviews.js)
+  ratingAverage: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: true // null until the first review
+  },
+  reviewCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Language of emails (see services/emailTemplates)
+  locale: {
+    type: DataTypes.ENUM('nl', 'fr', 'en'),
+    allowNull: false,
+    defaultValue: 'en'
+  },
+  // Optional email categories switched on or off, e.g. { orders: false }
+  // (defaults in services/email.js)
+  emailPreferences: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  // Access level (see requireRole in middleware/auth.js); groups are
+  // moderated by their group admins (GroupMembership.role)
+  role: {
+    type: DataTypes.ENUM('member', 'admin'),
+    allowNull: false,
+    defaultValue: 'member'
+  },
+  // Primary group, shown on listings; always one the user is an approved member of
   carnivalGroupId: {
     type: DataTypes.UUID,
     allowNull: false,
@@ -153,6 +234,22 @@ const User = sequelize.define('User', {
   timestamps: true
 });
 
+// Credentials never leave the server, whatever attributes were loaded
+const PRIVATE_USER_FIELDS = [
+  'password',
+  'tokenVersion',
+  'passwordResetTokenHash',
+  'passwordResetExpiresAt',
+  'twoFactorSecret',
+  'twoFactorLastUsedStep',
+  'twoFactorRecoveryCodes'
+];
+User.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  PRIVATE_USER_FIELDS.forEach(field => delete values[field]);
+  return values;
+};
+
 // Product Categories
 const Category = sequelize.define('Category', {
   id: {
@@ -225,6 +322,11 @@ const Product = sequelize.define('Product', {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  // Why a listing is (un)available; isAvailable is true only when 'available'
+  status: {
+    type: DataTypes.ENUM('available', 'reserved', 'sold'),
+    defaultValue: 'available'
+  },
   isFeatured: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -233,6 +335,62 @@ const Product = sequelize.define('Product', {
     type: DataTypes.INTEGER,
     defaultValue: 0
   },
+  // Number of members watching the listing (see services/favorites.js)
+  favoriteCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // When its watchers were last told about a price drop
+  priceDropAlertedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Who can find the listing: everyone, members of one carnival group, or
+  // only people with the link (see services/listingVisibility.js)
+  visibility: {
+    type: DataTypes.ENUM('public', 'group', 'unlisted'),
+    allowNull: false,
+    defaultValue: 'public'
+  },
+  visibilityGroupId: {
+    type: DataTypes.UUID,
+    allowNull: true, // the group of a group-only listing
+    references: {
+      model: CarnivalGroup,
+      key: 'id'
+    }
+  },
+  promoteToPublicAt: {
+    type: DataTypes.DATE,
+    allowNull: true // a group-only listing becomes public at this time
+  },
+  // Hidden by a moderator; only the seller and moderators can still see it
+  isHidden: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  hiddenReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  hiddenAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  hiddenById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  searchVector: {
+    type: DataTypes.TSVECTOR,
+    allowNull: true // maintained by a database trigger (services/searchIndex.js)
+  },
   sellerId: {
     type: DataTypes.UUID,
     allowNull: false,
@@ -251,7 +409,12 @@ const Product = sequelize.define('Product', {
   }
 }, {
   tableName: 'products',
-  timestamps: true
+  timestamps: true,
+  // Deleted listings keep their row so existing orders still reference them
+  paranoid: true,
+  defaultScope: {
+    attributes: { exclude: ['searchVector'] }
+  }
 });
 
 // Product Images
@@ -285,6 +448,14 @@ const ProductImage = sequelize.define('ProductImage', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  variants: {
+    type: DataTypes.JSONB,
+    allowNull: true // { thumbnail|card|full: { webp, jpeg, width, height } }
+  },
   productId: {
     type: DataTypes.UUID,
     allowNull: false,
@@ -367,6 +538,51 @@ const Order = sequelize.define('Order', {
   timestamps: true
 });
 
+// Order status history (one row per transition)
+const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  fromStatus: {
+    type: DataTypes.STRING,
+    allowNull: true // null for the initial 'pending' entry
+  },
+  toStatus: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.ENUM('user', 'stripe', 'system'),
+    defaultValue: 'user'
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Order,
+      key: 'id'
+    }
+  },
+  changedById: {
+    type: DataTypes.UUID,
+    allowNull: true, // null when Stripe or the system made the change
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'order_status_history',
+  timestamps: true,
+  updatedAt: false
+});
+
 // Messages between users
 const Message = sequelize.define('Message', {
   id: {
@@ -411,12 +627,610 @@ const Message = sequelize.define('Message', {
   timestamps: true
 });
 
+// Processed Stripe webhook events (used to make event handling idempotent)
+const WebhookEvent = sequelize.define('WebhookEvent', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true // Stripe event ID
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'webhook_events',
+  timestamps: true
+});
+
+// Refresh tokens, one rotating family per signed-in device
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true // SHA-256 of the token; the token itself is never stored
+  },
+  familyId: {
+    type: DataTypes.UUID,
+    allowNull: false // shared by every rotation of one device's session
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  replacedById: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  indexes: [
+    { fields: ['familyId'] },
+    { fields: ['userId'] }
+  ]
+});
+
+// Hit counters shared by every API instance (RATE_LIMIT_STORE=database)
+const RateLimitCounter = sequelize.define('RateLimitCounter', {
+  key: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  hits: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  resetAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastHitAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'rate_limit_counters',
+  timestamps: false
+});
+
+// A member's favorite (watched) listing
+const Favorite = sequelize.define('Favorite', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Product,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'favorites',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['userId', 'productId'] },
+    { fields: ['productId'] }
+  ]
+});
+
+// A member's named product search, with alerts of new matching listings
+// (see services/savedSearches.js)
+const SavedSearch = sequelize.define('SavedSearch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  filters: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {} // GET /api/products filters, without sort and paging
+  },
+  frequency: {
+    type: DataTypes.ENUM('immediate', 'daily'),
+    allowNull: false,
+    defaultValue: 'daily'
+  },
+  alertsEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  // Listings created after this have not been sent yet
+  lastCheckedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Secret for the unsubscribe link in alert emails
+  unsubscribeToken: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'saved_searches',
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['frequency', 'alertsEnabled'] }
+  ]
+});
+
+// Buyer's review of a delivered order, with at most one reply from the seller
+const Review = sequelize.define('Review', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  rating: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 5
+    }
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  photo: {
+    type: DataTypes.JSONB,
+    allowNull: true // { filename, url, variants } as stored by services/images.js
+  },
+  sellerReply: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  sellerRepliedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Hidden by a moderator (or by reports); hidden reviews don't count
+  isHidden: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  hiddenReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  hiddenAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  hiddenById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true, // one review per order
+    references: {
+      model: Order,
+      key: 'id'
+    }
+  },
+  reviewerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  sellerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Product,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'reviews',
+  timestamps: true,
+  indexes: [
+    { fields: ['sellerId', 'isHidden'] }
+  ]
+});
+
+// Emails waiting to be sent, and a record of those sent or given up on
+// (see services/email.js)
+const EmailOutbox = sequelize.define('EmailOutbox', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  template: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  locale: {
+    type: DataTypes.STRING(5),
+    allowNull: false
+  },
+  to: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  html: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true, // not every email goes to a member
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'email_outbox',
+  timestamps: true,
+  indexes: [
+    { fields: ['status', 'nextAttemptAt'] }
+  ]
+});
+
+// Audit trail of moderation actions
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false // e.g. 'user.suspend', 'product.hide'
+  },
+  targetType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  targetId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: true // values before and after the change
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true, // null for command line scripts
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['targetType', 'targetId'] },
+    { fields: ['actorId'] }
+  ]
+});
+
+// Reports of listings, users or messages, worked through in the moderation queue
+const Report = sequelize.define('Report', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  targetType: {
+    type: DataTypes.ENUM('product', 'user', 'message', 'review'),
+    allowNull: false
+  },
+  targetId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.ENUM('counterfeit', 'offensive', 'prohibited', 'scam', 'spam', 'harassment', 'other'),
+    allowNull: false
+  },
+  details: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'actioned', 'dismissed'),
+    defaultValue: 'open'
+  },
+  resolutionNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Member responsible for the reported content (seller, sender, reviewer or
+  // the member themselves); group admins see reports about their members
+  reportedUserId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  reporterId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  resolvedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'reports',
+  timestamps: true,
+  indexes: [
+    { fields: ['targetType', 'targetId'] },
+    { fields: ['status'] },
+    { fields: ['reportedUserId'] }
+  ]
+});
+
+// In-app notifications, also pushed live as 'notification:new'
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false // e.g. 'report.resolved', 'product.hidden'
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  data: {
+    type: DataTypes.JSONB,
+    allowNull: true // ids the frontend needs to link to the subject
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'notifications',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['userId', 'readAt'] }
+  ]
+});
+
+// Membership of a carnival group (a user can be in several)
+const GroupMembership = sequelize.define('GroupMembership', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Group admins approve members and edit the group's description and website
+  role: {
+    type: DataTypes.ENUM('member', 'admin'),
+    allowNull: false,
+    defaultValue: 'member'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true // from the member to the group admins
+  },
+  decidedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  decidedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  carnivalGroupId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: CarnivalGroup,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'group_memberships',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['userId', 'carnivalGroupId'] },
+    { fields: ['carnivalGroupId', 'status'] }
+  ]
+});
+
 // Define Associations
 User.belongsTo(CarnivalGroup, { foreignKey: 'carnivalGroupId' });
 CarnivalGroup.hasMany(User, { foreignKey: 'carnivalGroupId' });
+// No constraint: users and carnival_groups would reference each other
+CarnivalGroup.belongsTo(User, { as: 'requestedBy', foreignKey: 'requestedById', constraints: false });
+
+GroupMembership.belongsTo(User, { foreignKey: 'userId' });
+GroupMembership.belongsTo(CarnivalGroup, { foreignKey: 'carnivalGroupId' });
+User.hasMany(GroupMembership, { as: 'memberships', foreignKey: 'userId' });
+CarnivalGroup.hasMany(GroupMembership, { as: 'memberships', foreignKey: 'carnivalGroupId' });
+User.belongsToMany(CarnivalGroup, {
+  through: GroupMembership,
+  as: 'groups',
+  foreignKey: 'userId',
+  otherKey: 'carnivalGroupId'
+});
+CarnivalGroup.belongsToMany(User, {
+  through: GroupMembership,
+  as: 'members',
+  foreignKey: 'carnivalGroupId',
+  otherKey: 'userId'
+});
 
 Product.belongsTo(User, { as: 'seller', foreignKey: 'sellerId' });
 Product.belongsTo(Category, { foreignKey: 'categoryId' });
+Product.belongsTo(User, { as: 'hiddenBy', foreignKey: 'hiddenById' });
+Product.belongsTo(CarnivalGroup, { as: 'visibilityGroup', foreignKey: 'visibilityGroupId' });
 User.hasMany(Product, { as: 'products', foreignKey: 'sellerId' });
 Category.hasMany(Product, { foreignKey: 'categoryId' });
 
@@ -426,11 +1240,43 @@ Product.hasMany(ProductImage, { foreignKey: 'productId' });
 Order.belongsTo(User, { as: 'buyer', foreignKey: 'buyerId' });
 Order.belongsTo(User, { as: 'seller', foreignKey: 'sellerId' });
 Order.belongsTo(Product, { foreignKey: 'productId' });
+Order.hasMany(OrderStatusHistory, { as: 'statusHistory', foreignKey: 'orderId' });
+OrderStatusHistory.belongsTo(Order, { foreignKey: 'orderId' });
+OrderStatusHistory.belongsTo(User, { as: 'changedBy', foreignKey: 'changedById' });
 
 Message.belongsTo(User, { as: 'sender', foreignKey: 'senderId' });
 Message.belongsTo(User, { as: 'receiver', foreignKey: 'receiverId' });
 Message.belongsTo(Product, { foreignKey: 'productId' });
 
+RefreshToken.belongsTo(User, { foreignKey: 'userId' });
+User.hasMany(RefreshToken, { foreignKey: 'userId' });
+
+AuditLog.belongsTo(User, { as: 'actor', foreignKey: 'actorId' });
+
+Favorite.belongsTo(User, { foreignKey: 'userId' });
+Favorite.belongsTo(Product, { foreignKey: 'productId' });
+User.hasMany(Favorite, { foreignKey: 'userId' });
+Product.hasMany(Favorite, { foreignKey: 'productId' });
+
+EmailOutbox.belongsTo(User, { foreignKey: 'userId' });
+
+SavedSearch.belongsTo(User, { foreignKey: 'userId' });
+User.hasMany(SavedSearch, { foreignKey: 'userId' });
+
+Review.belongsTo(User, { as: 'reviewer', foreignKey: 'reviewerId' });
+Review.belongsTo(User, { as: 'seller', foreignKey: 'sellerId' });
+Review.belongsTo(Order, { foreignKey: 'orderId' });
+Review.belongsTo(Product, { foreignKey: 'productId' });
+Order.hasOne(Review, { foreignKey: 'orderId' });
+User.hasMany(Review, { as: 'reviewsReceived', foreignKey: 'sellerId' });
+
+Report.belongsTo(User, { as: 'reporter', foreignKey: 'reporterId' });
+Report.belongsTo(User, { as: 'resolvedBy', foreignKey: 'resolvedById' });
+Report.belongsTo(User, { as: 'reportedUser', foreignKey: 'reportedUserId' });
+
+Notification.belongsTo(User, { foreignKey: 'userId' });
+User.hasMany(Notification, { foreignKey: 'userId' });
+
 module.exports = {
   sequelize,
   User,
@@ -439,5 +1285,17 @@ module.exports = {
   Product,
   ProductImage,
   Order,
-  Message
+  OrderStatusHistory,
+  Message,
+  RateLimitCounter,
+  RefreshToken,
+  WebhookEvent,
+  AuditLog,
+  Report,
+  Notification,
+  GroupMembership,
+  Review,
+  Favorite,
+  SavedSearch,
+  EmailOutbox
 };
\ No newline at end of file
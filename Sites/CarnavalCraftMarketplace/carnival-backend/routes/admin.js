@@ -0,0 +1,692 @@
+// routes/admin.js - Moderation console for platform admins and group admins
+const express = require('express');
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  AuditLog,
+  CarnivalGroup,
+  Category,
+  Order,
+  Product,
+  Report,
+  Review,
+  User
+} = require('../models');
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  validateUserStatus,
+  validateUserRole,
+  validateGroupVerification,
+  validateProductVisibility,
+  validateProductFeatured,
+  validateReportResolution,
+  validateGroupReview,
+  validateReviewVisibility,
+  validateAdminUserList,
+  validateAdminGroupList,
+  validateAdminProductList,
+  validateAdminReportList,
+  validateAdminOrderList,
+  validateAuditLogQuery,
+  validateUuidParam
+} = require('../middleware/validation');
+const { recordAudit } = require('../services/auditLog');
+const { setProductVisibility, setReviewVisibility, setUserActive } = require('../services/moderation');
+const { ReportError, loadTarget, resolveReport } = require('../services/reports');
+const {
+  GroupError,
+  reviewGroupRequest,
+  isModerator,
+  moderatedMemberIds,
+  canModerateMember
+} = require('../services/groups');
+const { getPagination, paginationMeta } = require('../utils/pagination');
+const { escapeLike } = require('../utils/sql');
+
+const router = express.Router();
+
+// Everything here needs an account; each route then checks the role.
+// Admins pass every check. Group admins (see services/groups.js) only get the
+// listing, review and report routes, limited to the members of their groups.
+router.use(authenticate);
+const adminOnly = requireRole('admin');
+const moderators = async (req, res, next) => {
+  try {
+    if (!(await isModerator(req.user))) {
+      return res.status(403).json({
+        error: 'You do not have permission to do this',
+        code: 'FORBIDDEN'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Fields of a user shown in the console (credentials are stripped by toJSON)
+const ADMIN_USER_ATTRIBUTES = [
+  'id', 'email', 'firstName', 'lastName', 'city', 'role',
+  'isVerified', 'isActive', 'twoFactorEnabled', 'lastLoginAt', 'carnivalGroupId', 'createdAt'
+];
+
+const PARTY_ATTRIBUTES = ['id', 'email', 'firstName', 'lastName'];
+
+// Helper function for ?q= matching any of the given columns
+const searchColumns = (q, columns) => ({
+  [Op.or]: columns.map(column => ({ [column]: { [Op.iLike]: `%${escapeLike(q)}%` } }))
+});
+
+// @route   GET /api/admin/users
+// @desc    List users (q on name/email, role, isActive, carnivalGroupId, page, limit)
+// @access  Private (admin)
+router.get('/users', adminOnly, validateAdminUserList, async (req, res) => {
+  try {
+    const { q, role, isActive, carnivalGroupId } = req.filters;
+    const pagination = getPagination(req.filters);
+
+    const where = {};
+    if (q) Object.assign(where, searchColumns(q, ['email', 'firstName', 'lastName']));
+    if (role) where.role = role;
+    if (isActive !== undefined) where.isActive = isActive;
+    if (carnivalGroupId) where.carnivalGroupId = carnivalGroupId;
+
+    const { rows: users, count } = await User.findAndCountAll({
+      where,
+      attributes: ADMIN_USER_ATTRIBUTES,
+      include: [{ model: CarnivalGroup, attributes: ['id', 'name'] }],
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      success: true,
+      users,
+      count: users.length,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      error: 'Failed to list users',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/status
+// @desc    Suspend (signs the user out everywhere) or reactivate a user
+// @access  Private (admin)
+router.put('/users/:id/status', adminOnly, validateUuidParam('id'), validateUserStatus, async (req, res) => {
+  try {
+    const { isActive, reason } = req.body;
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot suspend your own account' });
+    }
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await setUserActive(user, { isActive, reason }, { actor: req.user, req });
+
+    console.log(`🛡️ User ${user.email} ${isActive ? 'reactivated' : 'suspended'} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: isActive ? 'User reactivated' : 'User suspended',
+      user: { id: user.id, email: user.email, isActive: user.isActive }
+    });
+
+  } catch (error) {
+    console.error('Error changing user status:', error);
+    res.status(500).json({
+      error: 'Failed to change user status',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Make a user a member or a platform admin (group moderators are the
+//          admins of their group, see PUT /api/carnival-groups/:id/memberships/:membershipId/role)
+// @access  Private (admin)
+router.put('/users/:id/role', adminOnly, validateUuidParam('id'), validateUserRole, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    // Keeps the last admin from locking everyone out of the console
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const from = { role: user.role };
+      await user.update({ role }, { transaction });
+      await recordAudit({
+        actor: req.user,
+        action: 'user.role',
+        targetType: 'user',
+        targetId: user.id,
+        details: { from, to: { role } },
+        req
+      }, { transaction });
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      user: { id: user.id, email: user.email, role: user.role }
+    });
+
+  } catch (error) {
+    console.error('Error changing user role:', error);
+    res.status(500).json({
+      error: 'Failed to change user role',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/groups
+// @desc    List carnival groups with member counts (q on name/city, verified,
+//          status (pending for the requests to review), page, limit)
+// @access  Private (admin)
+router.get('/groups', adminOnly, validateAdminGroupList, async (req, res) => {
+  try {
+    const { q, status, verified } = req.filters;
+    const pagination = getPagination(req.filters);
+
+    const where = {};
+    if (q) Object.assign(where, searchColumns(q, ['name', 'city']));
+    if (verified !== undefined) where.verified = verified;
+    if (status) where.status = status;
+
+    const { rows: groups, count } = await CarnivalGroup.findAndCountAll({
+      where,
+      attributes: {
+        include: [[
+          sequelize.literal(`(SELECT COUNT(*)::int FROM group_memberships m
+            WHERE m."carnivalGroupId" = "CarnivalGroup".id AND m.status = 'approved')`),
+          'memberCount'
+        ]]
+      },
+      include: [{ model: User, as: 'requestedBy', attributes: PARTY_ATTRIBUTES }],
+      order: [['name', 'ASC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      success: true,
+      groups,
+      count: groups.length,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error listing carnival groups:', error);
+    res.status(500).json({
+      error: 'Failed to list carnival groups',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/groups/:id/review
+// @desc    Approve (status active) or reject a requested carnival group
+// @access  Private (admin)
+router.put('/groups/:id/review', adminOnly, validateUuidParam('id'), validateGroupReview, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const group = await CarnivalGroup.findByPk(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Carnival group not found' });
+    }
+
+    await reviewGroupRequest(group, { status, note }, { actor: req.user, req });
+
+    console.log(`🛡️ Carnival group ${group.name} ${status === 'active' ? 'approved' : 'rejected'} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: status === 'active' ? 'Carnival group approved' : 'Carnival group rejected',
+      group
+    });
+
+  } catch (error) {
+    if (error instanceof GroupError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error reviewing carnival group:', error);
+    res.status(500).json({
+      error: 'Failed to review carnival group',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/groups/:id/verification
+// @desc    Verify or unverify a carnival group
+// @access  Private (admin)
+router.put('/groups/:id/verification', adminOnly, validateUuidParam('id'), validateGroupVerification, async (req, res) => {
+  try {
+    const { verified } = req.body;
+
+    const group = await CarnivalGroup.findByPk(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Carnival group not found' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const from = { verified: group.verified };
+      await group.update({ verified }, { transaction });
+      await recordAudit({
+        actor: req.user,
+        action: verified ? 'group.verify' : 'group.unverify',
+        targetType: 'carnival_group',
+        targetId: group.id,
+        details: { from, to: { verified } },
+        req
+      }, { transaction });
+    });
+
+    res.json({
+      success: true,
+      message: verified ? 'Carnival group verified' : 'Carnival group unverified',
+      group
+    });
+
+  } catch (error) {
+    console.error('Error changing group verification:', error);
+    res.status(500).json({
+      error: 'Failed to change group verification',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/products
+// @desc    List listings, hidden ones included (q on title, isHidden, isFeatured,
+//          sellerId, page, limit). Group admins only see their members' listings.
+// @access  Private (admin, group admin)
+router.get('/products', moderators, validateAdminProductList, async (req, res) => {
+  try {
+    const { q, sellerId, isHidden, isFeatured } = req.filters;
+    const pagination = getPagination(req.filters);
+
+    const where = {};
+    if (q) Object.assign(where, searchColumns(q, ['title']));
+    if (isHidden !== undefined) where.isHidden = isHidden;
+    if (isFeatured !== undefined) where.isFeatured = isFeatured;
+    if (sellerId) where.sellerId = sellerId;
+
+    if (req.user.role !== 'admin') {
+      where[Op.and] = [{ sellerId: { [Op.in]: moderatedMemberIds(req.user) } }];
+    }
+
+    const { rows: products, count } = await Product.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'seller', attributes: [...PARTY_ATTRIBUTES, 'isActive', 'carnivalGroupId'] },
+        { model: Category, attributes: ['name', 'slug'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      success: true,
+      products,
+      count: products.length,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error listing products:', error);
+    res.status(500).json({
+      error: 'Failed to list products',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/products/:id/visibility
+// @desc    Hide a listing (reason required) or restore it
+// @access  Private (admin, admin of one of the seller's groups)
+router.put('/products/:id/visibility', moderators, validateUuidParam('id'), validateProductVisibility, async (req, res) => {
+  try {
+    const { isHidden, reason } = req.body;
+
+    const product = await Product.findByPk(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (!(await canModerateMember(req.user, product.sellerId))) {
+      return res.status(403).json({ error: 'You can only moderate listings of members of your carnival groups' });
+    }
+
+    await setProductVisibility(product, { isHidden, reason }, { actor: req.user, req });
+
+    console.log(`🛡️ Product ${product.id} ${isHidden ? 'hidden' : 'restored'} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: isHidden ? 'Listing hidden' : 'Listing restored',
+      product: {
+        id: product.id,
+        isHidden: product.isHidden,
+        hiddenReason: product.hiddenReason,
+        hiddenAt: product.hiddenAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error changing product visibility:', error);
+    res.status(500).json({
+      error: 'Failed to change product visibility',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/reviews/:id/visibility
+// @desc    Hide a review (reason required) or restore it
+// @access  Private (admin, admin of one of the reviewer's groups)
+router.put('/reviews/:id/visibility', moderators, validateUuidParam('id'), validateReviewVisibility, async (req, res) => {
+  try {
+    const { isHidden, reason } = req.body;
+
+    const review = await Review.findByPk(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (!(await canModerateMember(req.user, review.reviewerId))) {
+      return res.status(403).json({ error: 'You can only moderate reviews by members of your carnival groups' });
+    }
+
+    await setReviewVisibility(review, { isHidden, reason }, { actor: req.user, req });
+
+    console.log(`🛡️ Review ${review.id} ${isHidden ? 'hidden' : 'restored'} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: isHidden ? 'Review hidden' : 'Review restored',
+      review: {
+        id: review.id,
+        isHidden: review.isHidden,
+        hiddenReason: review.hiddenReason,
+        hiddenAt: review.hiddenAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error changing review visibility:', error);
+    res.status(500).json({
+      error: 'Failed to change review visibility',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/products/:id/featured
+// @desc    Feature a listing or stop featuring it
+// @access  Private (admin)
+router.put('/products/:id/featured', adminOnly, validateUuidParam('id'), validateProductFeatured, async (req, res) => {
+  try {
+    const { isFeatured } = req.body;
+
+    const product = await Product.findByPk(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const from = { isFeatured: product.isFeatured };
+      await product.update({ isFeatured }, { transaction });
+      await recordAudit({
+        actor: req.user,
+        action: isFeatured ? 'product.feature' : 'product.unfeature',
+        targetType: 'product',
+        targetId: product.id,
+        details: { from, to: { isFeatured } },
+        req
+      }, { transaction });
+    });
+
+    res.json({
+      success: true,
+      message: isFeatured ? 'Listing featured' : 'Listing no longer featured',
+      product: { id: product.id, isFeatured: product.isFeatured }
+    });
+
+  } catch (error) {
+    console.error('Error changing featured listing:', error);
+    res.status(500).json({
+      error: 'Failed to change featured listing',
+      details: error.message
+    });
+  }
+});
+
+// Number of different members with an open report on the same target
+const openReporterCount = sequelize.literal(`(
+  SELECT COUNT(DISTINCT r."reporterId")::int FROM reports r
+  WHERE r."targetType" = "Report"."targetType" AND r."targetId" = "Report"."targetId" AND r.status = 'open'
+)`);
+
+// Helper function to load a report the current moderator may handle
+const findModeratedReport = async (req, res) => {
+  const report = await Report.findByPk(req.params.id, {
+    include: [{ model: User, as: 'reporter', attributes: PARTY_ATTRIBUTES }]
+  });
+  if (!report) {
+    res.status(404).json({ error: 'Report not found' });
+    return null;
+  }
+  if (!(await canModerateMember(req.user, report.reportedUserId))) {
+    res.status(403).json({ error: 'You can only handle reports about members of your carnival groups' });
+    return null;
+  }
+  return report;
+};
+
+// @route   GET /api/admin/reports
+// @desc    Moderation queue, oldest first (status, default open; targetType,
+//          reason, page, limit). Group admins only see reports about their members.
+// @access  Private (admin, group admin)
+router.get('/reports', moderators, validateAdminReportList, async (req, res) => {
+  try {
+    const { status, targetType, reason } = req.filters;
+    const pagination = getPagination(req.filters);
+
+    const where = {};
+    if (status !== 'all') where.status = status;
+    if (targetType) where.targetType = targetType;
+    if (reason) where.reason = reason;
+    if (req.user.role !== 'admin') where.reportedUserId = { [Op.in]: moderatedMemberIds(req.user) };
+
+    const { rows: reports, count } = await Report.findAndCountAll({
+      where,
+      attributes: { include: [[openReporterCount, 'openReporterCount']] },
+      include: [{ model: User, as: 'reporter', attributes: PARTY_ATTRIBUTES }],
+      order: [['createdAt', status === 'open' ? 'ASC' : 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      success: true,
+      reports,
+      count: reports.length,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({
+      error: 'Failed to fetch moderation queue',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/reports/:id
+// @desc    One report with the reported content and every report on it
+// @access  Private (admin, admin of one of the reported member's groups)
+router.get('/reports/:id', moderators, validateUuidParam('id'), async (req, res) => {
+  try {
+    const report = await findModeratedReport(req, res);
+    if (!report) return;
+
+    const target = await loadTarget(report.targetType, report.targetId, null);
+    const relatedReports = await Report.findAll({
+      where: { targetType: report.targetType, targetId: report.targetId },
+      include: [{ model: User, as: 'reporter', attributes: PARTY_ATTRIBUTES }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      report,
+      // null when the reported content has since been deleted
+      target: target ? target.record : null,
+      relatedReports
+    });
+
+  } catch (error) {
+    console.error('Error fetching report:', error);
+    res.status(500).json({
+      error: 'Failed to fetch report',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/reports/:id
+// @desc    Action or dismiss a report (and every open report on the same target);
+//          the reporters are notified of the outcome
+// @access  Private (admin, admin of one of the reported member's groups)
+router.put('/reports/:id', moderators, validateUuidParam('id'), validateReportResolution, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const report = await findModeratedReport(req, res);
+    if (!report) return;
+
+    const { resolvedCount, restored } = await resolveReport(report, { status, note }, { actor: req.user, req });
+
+    console.log(`🛡️ ${resolvedCount} report(s) on ${report.targetType} ${report.targetId} ${status} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `${resolvedCount} report${resolvedCount === 1 ? '' : 's'} ${status}`,
+      report,
+      resolvedCount,
+      restored
+    });
+
+  } catch (error) {
+    if (error instanceof ReportError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error resolving report:', error);
+    res.status(500).json({
+      error: 'Failed to resolve report',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/orders
+// @desc    List all orders (q on order number, status, buyerId, sellerId, page, limit)
+// @access  Private (admin)
+router.get('/orders', adminOnly, validateAdminOrderList, async (req, res) => {
+  try {
+    const { q, status, buyerId, sellerId } = req.filters;
+    const pagination = getPagination(req.filters);
+
+    const where = {};
+    if (q) Object.assign(where, searchColumns(q, ['orderNumber']));
+    if (status) where.status = status;
+    if (buyerId) where.buyerId = buyerId;
+    if (sellerId) where.sellerId = sellerId;
+
+    const { rows: orders, count } = await Order.findAndCountAll({
+      where,
+      include: [
+        { model: Product, attributes: ['id', 'title', 'price'], paranoid: false },
+        { model: User, as: 'buyer', attributes: PARTY_ATTRIBUTES },
+        { model: User, as: 'seller', attributes: PARTY_ATTRIBUTES }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      success: true,
+      orders,
+      count: orders.length,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error listing orders:', error);
+    res.status(500).json({
+      error: 'Failed to list orders',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    Audit trail, newest first (action, targetType, targetId, actorId, page, limit)
+// @access  Private (admin)
+router.get('/audit-log', adminOnly, validateAuditLogQuery, async (req, res) => {
+  try {
+    const { action, targetType, targetId, actorId } = req.filters;
+    const pagination = getPagination(req.filters, { defaultLimit: 50 });
+
+    const where = {};
+    if (action) where.action = action;
+    if (targetType) where.targetType = targetType;
+    if (targetId) where.targetId = targetId;
+    if (actorId) where.actorId = actorId;
+
+    const { rows: entries, count } = await AuditLog.findAndCountAll({
+      where,
+      include: [{ model: User, as: 'actor', attributes: PARTY_ATTRIBUTES }],
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      success: true,
+      entries,
+      count: entries.length,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit log',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
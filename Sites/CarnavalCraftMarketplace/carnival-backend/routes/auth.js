@@ -1,19 +1,44 @@
 // routes/auth.js - Working authentication routes
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { User, CarnivalGroup } = require('../models');
+const { sequelize, User, CarnivalGroup, GroupMembership } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const { passwordResetLimiter } = require('../middleware/rateLimit');
+const {
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validateTwoFactorEnable,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
+} = require('../middleware/validation');
+const {
+  SessionError,
+  issueSession,
+  rotateSession,
+  endSession,
+  revokeAllSessions
+} = require('../services/sessions');
+const { sendVerificationEmail, verifyEmailToken } = require('../services/emailVerification');
+const { PasswordResetError, requestPasswordReset, resetPassword } = require('../services/passwordReset');
+const { findActiveGroup } = require('../services/groups');
+const { queueEmail } = require('../services/email');
+const { SUPPORTED_LOCALES, resolveLocale } = require('../services/emailTemplates');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../services/loginProtection');
+const { generatePurposeToken, verifyPurposeToken } = require('../services/tokens');
+const {
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  verifyCode,
+  generateRecoveryCodes,
+  checkSecondFactor
+} = require('../services/twoFactor');
 
 const router = express.Router();
 
-// Helper function to generate JWT
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'carnival-secret-key',
-    { expiresIn: '7d' }
-  );
-};
+// Password-checked logins of 2FA accounts have this long to enter their code
+const TWO_FACTOR_LOGIN_PURPOSE = '2fa-login';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
 
 // @route   GET /api/auth
 // @desc    Test auth routes
@@ -25,7 +50,18 @@ router.get('/', (req, res) => {
     endpoints: {
       register: 'POST /api/auth/register',
       login: 'POST /api/auth/login',
-      me: 'GET /api/auth/me'
+      me: 'GET /api/auth/me',
+      verifyEmail: 'POST /api/auth/verify-email',
+      resendVerification: 'POST /api/auth/resend-verification',
+      forgotPassword: 'POST /api/auth/forgot-password',
+      resetPassword: 'POST /api/auth/reset-password',
+      refresh: 'POST /api/auth/refresh',
+      logout: 'POST /api/auth/logout',
+      logoutAll: 'POST /api/auth/logout-all',
+      twoFactorSetup: 'POST /api/auth/2fa/setup',
+      twoFactorEnable: 'POST /api/auth/2fa/enable',
+      twoFactorVerify: 'POST /api/auth/2fa/verify',
+      twoFactorDisable: 'POST /api/auth/2fa/disable'
     }
   });
 });
@@ -37,7 +73,7 @@ router.post('/register', async (req, res) => {
   try {
     console.log('Registration attempt:', req.body);
     
-    const { email, password, firstName, lastName, phone, carnivalGroupId, address, city, postalCode } = req.body;
+    const { email, password, firstName, lastName, phone, carnivalGroupId, address, city, postalCode, locale } = req.body;
 
     // Basic validation
     if (!email || !password || !firstName || !lastName) {
@@ -52,32 +88,13 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'User already exists with this email' });
     }
 
-    // For now, we'll use a default carnival group if none provided
-    let groupId = carnivalGroupId;
-    if (!groupId) {
-      // Get the first carnival group as default
-      const defaultGroup = await CarnivalGroup.findOne();
-      if (defaultGroup) {
-        groupId = defaultGroup.id;
-        console.log('Using default carnival group:', defaultGroup.name);
-      } else {
-        console.log('No carnival groups found, creating a default one');
-        const newGroup = await CarnivalGroup.create({
-          name: 'Default Group',
-          city: 'Brussels',
-          country: 'Belgium',
-          verified: true
-        });
-        groupId = newGroup.id;
-      }
-    } else {
-      // Verify the provided carnival group exists
-      const existingGroup = await CarnivalGroup.findByPk(groupId);
-      if (!existingGroup) {
-        console.log('Invalid carnival group ID provided, using default');
-        const defaultGroup = await CarnivalGroup.findOne();
-        groupId = defaultGroup ? defaultGroup.id : null;
-      }
+    // The chosen group must exist and be listed; it becomes the primary group
+    if (!carnivalGroupId) {
+      return res.status(400).json({ error: 'Please select your carnival group' });
+    }
+    const group = await findActiveGroup(carnivalGroupId);
+    if (!group) {
+      return res.status(400).json({ error: 'Carnival group not found' });
     }
 
     // Hash password
@@ -88,25 +105,50 @@ router.post('/register', async (req, res) => {
       email,
       firstName,
       lastName,
-      carnivalGroupId: groupId
+      carnivalGroupId: group.id
     });
-    
-    const user = await User.create({
-      email,
-      password: hashedPassword,
-      firstName,
-      lastName,
-      phone: phone || null,
-      carnivalGroupId: groupId,
-      address: address || null,
-      city: city || null,
-      postalCode: postalCode || null
+
+    const user = await sequelize.transaction(async (transaction) => {
+      const created = await User.create({
+        email,
+        password: hashedPassword,
+        firstName,
+        lastName,
+        phone: phone || null,
+        carnivalGroupId: group.id,
+        address: address || null,
+        city: city || null,
+        postalCode: postalCode || null,
+        // Emails are in the chosen language, else the browser's
+        locale: resolveLocale(locale || req.acceptsLanguages(...SUPPORTED_LOCALES))
+      }, { transaction });
+
+      // The group picked at registration is joined straight away
+      await GroupMembership.create({
+        userId: created.id,
+        carnivalGroupId: group.id,
+        status: 'approved',
+        decidedAt: new Date()
+      }, { transaction });
+
+      await queueEmail(created, 'welcome', { groupName: group.name }, { transaction });
+
+      return created;
     });
 
     console.log('User created successfully:', user.id);
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // The account works without it, so a mail failure doesn't fail registration
+    let verificationSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      verificationSent = false;
+      console.error('Failed to send verification email:', error.message);
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await issueSession(user, req);
 
     // Return user data (without password) and token
     const userData = await User.findByPk(user.id, {
@@ -120,7 +162,9 @@ router.post('/register', async (req, res) => {
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: userData,
+      verificationSent,
       success: true
     });
 
@@ -148,6 +192,42 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// Helper function to sign a user in once every factor has been checked
+const completeLogin = async (user, req, res) => {
+  await recordLoginSuccess(user.email);
+
+  // Update last login
+  await user.update({ lastLoginAt: new Date() });
+
+  // Start a session for this device
+  const { token, refreshToken } = await issueSession(user, req);
+
+  // Return user data (without password) and token
+  const userData = {
+    id: user.id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    phone: user.phone,
+    address: user.address,
+    city: user.city,
+    postalCode: user.postalCode,
+    isVerified: user.isVerified,
+    twoFactorEnabled: user.twoFactorEnabled,
+    lastLoginAt: user.lastLoginAt,
+    CarnivalGroup: user.CarnivalGroup,
+    createdAt: user.createdAt
+  };
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: userData,
+    success: true
+  });
+};
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
@@ -161,6 +241,13 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
+    // Brute-force protection: progressive delays, then a temporary lockout
+    const blocked = await checkLoginAllowed(email, req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json({ error: blocked.error, retryAfter: blocked.retryAfter });
+    }
+
     // Find user with carnival group info
     const user = await User.findOne({
       where: { email },
@@ -171,6 +258,7 @@ router.post('/login', async (req, res) => {
     });
 
     if (!user) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
@@ -182,37 +270,21 @@ router.post('/login', async (req, res) => {
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Update last login
-    await user.update({ lastLoginAt: new Date() });
+    // Accounts with 2FA get a short-lived challenge instead of a session
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generatePurposeToken(user, TWO_FACTOR_LOGIN_PURPOSE, TWO_FACTOR_CHALLENGE_TTL),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
 
-    // Generate JWT token
-    const token = generateToken(user.id);
-
-    // Return user data (without password) and token
-    const userData = {
-      id: user.id,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      phone: user.phone,
-      address: user.address,
-      city: user.city,
-      postalCode: user.postalCode,
-      isVerified: user.isVerified,
-      lastLoginAt: user.lastLoginAt,
-      CarnivalGroup: user.CarnivalGroup,
-      createdAt: user.createdAt
-    };
-
-    res.json({
-      message: 'Login successful',
-      token,
-      user: userData,
-      success: true
-    });
+    await completeLogin(user, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -226,43 +298,399 @@ router.post('/login', async (req, res) => {
 // @route   GET /api/auth/me
 // @desc    Get current user info
 // @access  Private
-router.get('/me', async (req, res) => {
+router.get('/me', authenticate, async (req, res) => {
   try {
-    // Extract token from Authorization header
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'No token provided' });
+    const user = await User.findByPk(req.user.id, {
+      attributes: { exclude: ['password'] },
+      include: [{
+        model: CarnivalGroup,
+        attributes: ['name', 'city', 'country']
+      }]
+    });
+
+    // Includes twoFactorEnabled; the 2FA secret and recovery codes are
+    // stripped by User.toJSON
+    res.json({ user });
+
+  } catch (error) {
+    console.error('Auth verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification link
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
     }
 
-    const token = authHeader.split(' ')[1];
+    let decoded;
+    try {
+      decoded = verifyEmailToken(token);
+    } catch (error) {
+      const expired = error.name === 'TokenExpiredError';
+      return res.status(400).json({
+        error: expired ? 'Verification link has expired' : 'Invalid verification link',
+        code: expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+      });
+    }
+
+    const user = await User.findByPk(decoded.userId);
+    // A link for an address the user has since changed is no longer valid
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ error: 'Invalid verification link', code: 'TOKEN_INVALID' });
+    }
+
+    if (!user.isVerified) {
+      await user.update({ isVerified: true });
+      console.log('Email verified:', user.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      error: 'Server error during email verification',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification link to the signed-in user
+// @access  Private
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    if (req.user.isVerified) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to send verification email',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link (same response whether the account exists or not)
+// @access  Public
+router.post('/forgot-password', passwordResetLimiter, validatePasswordResetRequest, async (req, res) => {
+  try {
+    await requestPasswordReset(req.body.email);
+  } catch (error) {
+    // Logged only; an error response would tell that the account exists
+    console.error('Password reset request error:', error);
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for this email address, a password reset link has been sent.'
+  });
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Choose a new password with the token from the reset link
+// @access  Public
+router.post('/reset-password', passwordResetLimiter, validatePasswordReset, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    const user = await resetPassword(token, newPassword);
+
+    console.log('Password reset:', user.id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      error: 'Server error during password reset',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const session = await rotateSession(refreshToken, req);
+
+    res.json({
+      success: true,
+      token: session.token,
+      refreshToken: session.refreshToken
+    });
+
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Server error during token refresh',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End this device's session (its refresh token family)
+// @access  Public (refresh token)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      await endSession(refreshToken);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Server error during logout',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the signed-in user, on all devices
+// @access  Private
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user);
+
+    console.log('All sessions revoked:', req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out on all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Server error during logout',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrolment: a new secret and its otpauth:// URI for a QR code
+// @access  Private
+router.post('/2fa/setup', authenticate, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    // Only becomes active once a code from the app is confirmed
+    const { secret, otpauthUrl } = generateSecret(req.user.email);
+    await req.user.update({ twoFactorSecret: encryptSecret(secret), twoFactorLastUsedStep: null });
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code'
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      error: 'Server error during two-factor setup',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code; returns the recovery codes (shown once)
+//          and signs every other session out
+// @access  Private
+router.post('/2fa/enable', authenticate, validateTwoFactorEnable, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!req.user.twoFactorSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(decryptSecret(req.user.twoFactorSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid code, check the time on your device and try again' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await req.user.update({
+      twoFactorEnabled: true,
+      twoFactorLastUsedStep: step,
+      twoFactorRecoveryCodes: hashes
+    });
+    // Sessions started with only the password shouldn't outlive enrolment
+    await revokeAllSessions(req.user);
+
+    console.log('2FA enabled:', req.user.id);
+
+    // A fresh session keeps this device signed in
+    const { token, refreshToken } = await issueSession(req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: codes,
+      token,
+      refreshToken
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      error: 'Server error while enabling two-factor authentication',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Second login step: challenge token plus a code or recovery code
+// @access  Public (challenge token)
+router.post('/2fa/verify', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(challengeToken, TWO_FACTOR_LOGIN_PURPOSE);
+    } catch (error) {
+      return res.status(401).json({ error: 'Login has expired, please enter your password again' });
+    }
+
+    // Wrong codes count as failed logins, with the same delays and lockout
+    const blocked = await checkLoginAllowed(decoded.email, req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json({ error: blocked.error, retryAfter: blocked.retryAfter });
+    }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'carnival-secret-key');
-    
-    // Find user
     const user = await User.findByPk(decoded.userId, {
-      attributes: { exclude: ['password'] },
       include: [{
         model: CarnivalGroup,
         attributes: ['name', 'city', 'country']
       }]
     });
+    if (!user || !user.isActive || !user.twoFactorEnabled || user.email !== decoded.email) {
+      return res.status(401).json({ error: 'Login has expired, please enter your password again' });
+    }
 
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    const accepted = await checkSecondFactor(user, { code, recoveryCode });
+    if (!accepted) {
+      await recordLoginFailure(user.email, req.ip);
+      return res.status(401).json({ error: code ? 'Invalid code' : 'Invalid recovery code' });
     }
 
-    res.json({ user });
+    if (recoveryCode) {
+      console.log(`2FA recovery code used by ${user.id} (${user.twoFactorRecoveryCodes.length} left)`);
+    }
+
+    await completeLogin(user, req, res);
 
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
+    console.error('2FA verification error:', error);
+    res.status(500).json({
+      error: 'Server error during two-factor verification',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn 2FA off (password plus a code or recovery code)
+// @access  Private
+router.post('/2fa/disable', authenticate, validateTwoFactorDisable, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
     }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
+
+    // Wrong passwords and codes count as failed logins, so a stolen access
+    // token can't be used to guess them
+    const blocked = await checkLoginAllowed(req.user.email, req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json({ error: blocked.error, retryAfter: blocked.retryAfter });
     }
-    console.error('Auth verification error:', error);
-    res.status(500).json({ error: 'Server error' });
+
+    const isValidPassword = await bcrypt.compare(password, req.user.password);
+    if (!isValidPassword) {
+      await recordLoginFailure(req.user.email, req.ip);
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const accepted = await checkSecondFactor(req.user, { code, recoveryCode });
+    if (!accepted) {
+      await recordLoginFailure(req.user.email, req.ip);
+      return res.status(401).json({ error: code ? 'Invalid code' : 'Invalid recovery code' });
+    }
+
+    await req.user.update({
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorLastUsedStep: null,
+      twoFactorRecoveryCodes: null
+    });
+
+    console.log('2FA disabled:', req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      error: 'Server error while disabling two-factor authentication',
+      details: error.message
+    });
   }
 });
 
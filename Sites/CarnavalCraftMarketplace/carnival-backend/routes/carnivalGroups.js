@@ -1,54 +1,185 @@
 // routes/carnivalGroups.js - Working carnival groups routes
 const express = require('express');
-const { CarnivalGroup, User } = require('../models');
+const { CarnivalGroup, GroupMembership, User } = require('../models');
+const { authenticate, optionalAuth, requireVerified } = require('../middleware/auth');
+const {
+  validateGroupRequest,
+  validateGroupUpdate,
+  validateGroupJoin,
+  validateMembershipDecision,
+  validateMembershipRole,
+  validateUuidParam
+} = require('../middleware/validation');
+const { recordAudit } = require('../services/auditLog');
+const {
+  GroupError,
+  findActiveGroup,
+  isGroupAdmin,
+  requestGroup,
+  requestMembership,
+  decideMembership,
+  setMembershipRole,
+  leaveGroup
+} = require('../services/groups');
+const { getPagination, paginationMeta } = require('../utils/pagination');
 
 const router = express.Router();
 
+const MEMBER_ATTRIBUTES = ['id', 'firstName', 'lastName'];
+
+// Helper function to send a GroupError, or a 500 for anything else
+const handleGroupError = (res, error, message) => {
+  if (error instanceof GroupError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    details: error.message
+  });
+};
+
+// Load the group in :id and make sure the current user is one of its group
+// admins (platform admins manage every group)
+const requireGroupAdmin = async (req, res, next) => {
+  try {
+    const group = await CarnivalGroup.findByPk(req.params.id);
+    if (!group || group.status === 'rejected') {
+      return res.status(404).json({ error: 'Carnival group not found' });
+    }
+    if (!(await isGroupAdmin(req.user, group.id))) {
+      return res.status(403).json({ error: 'Only group admins can do this' });
+    }
+
+    req.group = group;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load the membership in :membershipId, which must belong to the group in :id
+const findGroupMembership = async (req, res) => {
+  const membership = await GroupMembership.findOne({
+    where: { id: req.params.membershipId, carnivalGroupId: req.group.id }
+  });
+  if (!membership) {
+    res.status(404).json({ error: 'Membership not found' });
+    return null;
+  }
+  return membership;
+};
+
 // @route   GET /api/carnival-groups
 // @desc    Get all carnival groups for registration dropdown
 // @access  Public
 router.get('/', async (req, res) => {
   try {
     console.log('Fetching carnival groups...');
-    
+
     const groups = await CarnivalGroup.findAll({
+      where: { status: 'active' },
       attributes: ['id', 'name', 'city', 'province', 'country', 'verified'],
       order: [['name', 'ASC']]
     });
 
     console.log(`Found ${groups.length} carnival groups`);
-    
+
     res.json({
       success: true,
       count: groups.length,
       groups: groups
     });
-    
+
   } catch (error) {
     console.error('Error fetching carnival groups:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Server error while fetching carnival groups',
-      details: error.message 
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/carnival-groups/mine
+// @desc    Groups the current user belongs to or asked to join, primary group first
+// @access  Private
+router.get('/mine', authenticate, async (req, res) => {
+  try {
+    const memberships = await GroupMembership.findAll({
+      where: { userId: req.user.id },
+      attributes: ['id', 'role', 'status', 'createdAt', 'decidedAt'],
+      include: [{
+        model: CarnivalGroup,
+        attributes: ['id', 'name', 'city', 'country', 'verified', 'status']
+      }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      primaryGroupId: req.user.carnivalGroupId,
+      memberships: memberships
+        .map(membership => ({
+          ...membership.toJSON(),
+          isPrimary: membership.CarnivalGroup.id === req.user.carnivalGroupId
+        }))
+        .sort((a, b) => b.isPrimary - a.isPrimary)
     });
+
+  } catch (error) {
+    console.error('Error fetching memberships:', error);
+    res.status(500).json({
+      error: 'Failed to fetch your groups',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/carnival-groups
+// @desc    Request a new carnival group; listed once a platform admin approves it,
+//          with the requester as its group admin
+// @access  Private (verified email)
+router.post('/', authenticate, requireVerified, validateGroupRequest, async (req, res) => {
+  try {
+    const group = await requestGroup(req.user, req.body, { req });
+
+    console.log(`🎭 New carnival group requested: ${group.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks! Your group will be listed once an admin has approved it.',
+      group
+    });
+
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'A carnival group with this name already exists' });
+    }
+    handleGroupError(res, error, 'Failed to request carnival group');
   }
 });
 
 // @route   GET /api/carnival-groups/:id
-// @desc    Get specific carnival group details
+// @desc    Get specific carnival group details (pending groups only for their
+//          group admins)
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', validateUuidParam('id'), optionalAuth, async (req, res) => {
   try {
     const group = await CarnivalGroup.findByPk(req.params.id, {
-      attributes: ['id', 'name', 'city', 'province', 'country', 'description', 'website', 'verified', 'createdAt'],
+      attributes: ['id', 'name', 'city', 'province', 'country', 'description', 'website', 'verified', 'status', 'createdAt'],
       include: [{
         model: User,
-        attributes: ['id', 'firstName', 'lastName'],
+        as: 'members',
+        attributes: MEMBER_ATTRIBUTES,
         where: { isActive: true },
+        through: { where: { status: 'approved' }, attributes: ['role'] },
         required: false
       }]
     });
 
-    if (!group) {
+    const visible = group && (group.status === 'active' ||
+      (group.status === 'pending' && await isGroupAdmin(req.user, group.id)));
+    if (!visible) {
       return res.status(404).json({ error: 'Carnival group not found' });
     }
 
@@ -56,14 +187,177 @@ router.get('/:id', async (req, res) => {
       success: true,
       group: group
     });
-    
+
   } catch (error) {
     console.error('Error fetching carnival group:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Server error while fetching carnival group',
-      details: error.message 
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/carnival-groups/:id
+// @desc    Edit the group's description and website
+// @access  Private (group admin)
+router.put('/:id', authenticate, validateUuidParam('id'), validateGroupUpdate, requireGroupAdmin, async (req, res) => {
+  try {
+    const updates = {};
+    ['description', 'website'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field] || null;
+      }
+    });
+
+    const from = { description: req.group.description, website: req.group.website };
+    await req.group.update(updates);
+    await recordAudit({
+      actor: req.user,
+      action: 'group.update',
+      targetType: 'carnival_group',
+      targetId: req.group.id,
+      details: { from, to: updates },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Carnival group updated',
+      group: req.group
+    });
+
+  } catch (error) {
+    console.error('Error updating carnival group:', error);
+    res.status(500).json({
+      error: 'Failed to update carnival group',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/carnival-groups/:id/join
+// @desc    Ask to join a group; a group admin approves or rejects the request
+// @access  Private
+router.post('/:id/join', authenticate, validateUuidParam('id'), validateGroupJoin, async (req, res) => {
+  try {
+    const group = await findActiveGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Carnival group not found' });
+    }
+
+    const membership = await requestMembership(req.user, group, { message: req.body.message });
+
+    res.status(201).json({
+      success: true,
+      message: `Your request to join ${group.name} has been sent to its group admins`,
+      membership: {
+        id: membership.id,
+        carnivalGroupId: group.id,
+        status: membership.status
+      }
+    });
+
+  } catch (error) {
+    handleGroupError(res, error, 'Failed to request membership');
+  }
+});
+
+// @route   DELETE /api/carnival-groups/:id/membership
+// @desc    Leave a group or withdraw a request to join (not the primary group)
+// @access  Private
+router.delete('/:id/membership', authenticate, validateUuidParam('id'), async (req, res) => {
+  try {
+    await leaveGroup(req.user, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'You have left the group'
+    });
+
+  } catch (error) {
+    handleGroupError(res, error, 'Failed to leave group');
+  }
+});
+
+// @route   GET /api/carnival-groups/:id/memberships
+// @desc    Members and join requests (status: pending, approved or rejected; page, limit)
+// @access  Private (group admin)
+router.get('/:id/memberships', authenticate, validateUuidParam('id'), requireGroupAdmin, async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+
+    const where = { carnivalGroupId: req.group.id };
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+
+    const { rows: memberships, count } = await GroupMembership.findAndCountAll({
+      where,
+      attributes: ['id', 'role', 'status', 'message', 'decidedAt', 'createdAt'],
+      include: [{ model: User, attributes: [...MEMBER_ATTRIBUTES, 'city', 'isVerified'] }],
+      order: [['createdAt', req.query.status === 'pending' ? 'ASC' : 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      success: true,
+      memberships,
+      count: memberships.length,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error fetching memberships:', error);
+    res.status(500).json({
+      error: 'Failed to fetch memberships',
+      details: error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   PUT /api/carnival-groups/:id/memberships/:membershipId
+// @desc    Approve or reject a request to join
+// @access  Private (group admin)
+router.put('/:id/memberships/:membershipId', authenticate, validateUuidParam('id'), validateUuidParam('membershipId'),
+  validateMembershipDecision, requireGroupAdmin, async (req, res) => {
+    try {
+      const membership = await findGroupMembership(req, res);
+      if (!membership) return;
+
+      await decideMembership(membership, { status: req.body.status }, { actor: req.user, req });
+
+      res.json({
+        success: true,
+        message: req.body.status === 'approved' ? 'Member approved' : 'Request rejected',
+        membership
+      });
+
+    } catch (error) {
+      handleGroupError(res, error, 'Failed to decide membership');
+    }
+  });
+
+// @route   PUT /api/carnival-groups/:id/memberships/:membershipId/role
+// @desc    Make a member group admin, or a group admin a regular member
+// @access  Private (group admin)
+router.put('/:id/memberships/:membershipId/role', authenticate, validateUuidParam('id'), validateUuidParam('membershipId'),
+  validateMembershipRole, requireGroupAdmin, async (req, res) => {
+    try {
+      const membership = await findGroupMembership(req, res);
+      if (!membership) return;
+
+      await setMembershipRole(membership, { role: req.body.role }, { actor: req.user, req });
+
+      res.json({
+        success: true,
+        message: 'Role updated',
+        membership
+      });
+
+    } catch (error) {
+      handleGroupError(res, error, 'Failed to change member role');
+    }
+  });
+
+module.exports = router;
@@ -0,0 +1,89 @@
+// routes/events.js - Live event stream (Server-Sent Events)
+const express = require('express');
+const { User } = require('../models');
+const { authenticate, resolveUserFromToken, isSessionCurrent } = require('../middleware/auth');
+const { addClient } = require('../services/realtime');
+const { generatePurposeToken, verifyPurposeToken } = require('../services/tokens');
+
+const router = express.Router();
+
+// The browser's EventSource cannot send headers, so it connects with a
+// ticket in the query string instead of the access token. A ticket is only
+// good for opening a stream and expires quickly, so one that ends up in an
+// access log is useless.
+const STREAM_TICKET_PURPOSE = 'event-stream';
+const STREAM_TICKET_TTL = '30s';
+
+// Helper function to find the user a stream is opened for (null if the
+// ticket or token is no longer valid)
+const resolveStreamUser = async (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return resolveUserFromToken(authHeader.split(' ')[1]);
+  }
+
+  const decoded = verifyPurposeToken(req.query.ticket, STREAM_TICKET_PURPOSE);
+  const user = await User.findByPk(decoded.userId);
+  if (!user || !user.isActive || user.email !== decoded.email ||
+      user.tokenVersion !== decoded.tokenVersion) {
+    return null;
+  }
+  return user;
+};
+
+// @route   POST /api/events/ticket
+// @desc    Short-lived ticket for opening the event stream with EventSource
+// @access  Private
+router.post('/ticket', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    ticket: generatePurposeToken(req.user, STREAM_TICKET_PURPOSE, STREAM_TICKET_TTL, {
+      tokenVersion: req.user.tokenVersion || 0
+    })
+  });
+});
+
+// @route   GET /api/events
+// @desc    Stream new messages and order status changes to the client. The
+//          stream is closed once the session is revoked (logout-all, a
+//          password change or deactivation).
+// @access  Private (JWT in the Authorization header or ?ticket= from
+//          POST /api/events/ticket)
+router.get('/', async (req, res) => {
+  try {
+    if (!req.headers.authorization && !req.query.ticket) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    let user;
+    try {
+      user = await resolveStreamUser(req);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps the compression middleware from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`event: connected\ndata: ${JSON.stringify({ userId: user.id })}\n\n`);
+
+    const removeClient = addClient(user.id, res, { isValid: () => isSessionCurrent(user) });
+    req.on('close', removeClient);
+
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    res.status(500).json({
+      error: 'Failed to open event stream',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
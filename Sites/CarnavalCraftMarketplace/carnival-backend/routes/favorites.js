@@ -0,0 +1,149 @@
+// routes/favorites.js - The current user's favorite (watched) listings
+const express = require('express');
+const { Op } = require('sequelize');
+const { Favorite, Product, User } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const { validateUuidParam } = require('../middleware/validation');
+const { addFavorite, removeFavorite } = require('../services/favorites');
+const { canViewListing, listedForViewer } = require('../services/listingVisibility');
+const { productIncludes, imageOrder } = require('../services/productSearch');
+const { getPagination, paginationMeta } = require('../utils/pagination');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// @route   GET /api/favorites
+// @desc    Favorite listings, most recently added first (page, limit); sold and
+//          reserved listings stay in the list
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+
+    // Listings the member can no longer see drop out of the list
+    const { rows: favorites, count } = await Favorite.findAndCountAll({
+      where: { userId: req.user.id },
+      attributes: ['productId', 'createdAt'],
+      include: [{
+        model: Product,
+        attributes: [],
+        where: {
+          isHidden: false,
+          [Op.or]: [listedForViewer(req.user), { visibility: 'unlisted' }]
+        }
+      }],
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    const ids = favorites.map(favorite => favorite.productId);
+    const products = ids.length === 0 ? [] : await Product.findAll({
+      where: { id: ids },
+      include: productIncludes(),
+      order: [imageOrder]
+    });
+    products.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+
+    res.json({
+      success: true,
+      products,
+      count: products.length,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error fetching favorites:', error);
+    res.status(500).json({
+      error: 'Failed to fetch favorites',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/favorites/ids
+// @desc    Ids of all favorite listings (to show the hearts on listing cards)
+// @access  Private
+router.get('/ids', async (req, res) => {
+  try {
+    const favorites = await Favorite.findAll({
+      where: { userId: req.user.id },
+      attributes: ['productId']
+    });
+
+    res.json({
+      success: true,
+      productIds: favorites.map(favorite => favorite.productId)
+    });
+
+  } catch (error) {
+    console.error('Error fetching favorite ids:', error);
+    res.status(500).json({
+      error: 'Failed to fetch favorites',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/favorites/:productId
+// @desc    Add a listing to your favorites (alerts on price drops and when it is
+//          available again)
+// @access  Private
+router.post('/:productId', validateUuidParam('productId'), async (req, res) => {
+  try {
+    const product = await Product.findByPk(req.params.productId, {
+      include: [{ model: User, as: 'seller', attributes: ['id', 'carnivalGroupId'] }]
+    });
+    if (!product || !(await canViewListing(product, req.user))) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (product.sellerId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot add your own listing to your favorites' });
+    }
+
+    const { created } = await addFavorite(req.user, product);
+    await product.reload({ attributes: ['id', 'favoriteCount'] });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Added to your favorites' : 'Already in your favorites',
+      productId: product.id,
+      favoriteCount: product.favoriteCount
+    });
+
+  } catch (error) {
+    console.error('Error adding favorite:', error);
+    res.status(500).json({
+      error: 'Failed to add favorite',
+      details: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/favorites/:productId
+// @desc    Remove a listing from your favorites
+// @access  Private
+router.delete('/:productId', validateUuidParam('productId'), async (req, res) => {
+  try {
+    const removed = await removeFavorite(req.user, req.params.productId);
+    if (!removed) {
+      return res.status(404).json({ error: 'This listing is not in your favorites' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from your favorites',
+      productId: req.params.productId
+    });
+
+  } catch (error) {
+    console.error('Error removing favorite:', error);
+    res.status(500).json({
+      error: 'Failed to remove favorite',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
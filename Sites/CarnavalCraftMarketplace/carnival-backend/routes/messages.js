@@ -0,0 +1,295 @@
+// routes/messages.js - Buyer/seller messaging
+const express = require('express');
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, Message, Product, User } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const { validateMessage, validateUuidParam, validateThreadProduct } = require('../middleware/validation');
+const { getPagination, paginationMeta } = require('../utils/pagination');
+const { publish } = require('../services/realtime');
+const { queueEmail } = require('../services/email');
+
+const router = express.Router();
+
+// Fields of the other participant shown in a conversation
+const PARTICIPANT_ATTRIBUTES = ['id', 'firstName', 'lastName'];
+
+// Length of the message preview in new message emails
+const EMAIL_PREVIEW_LENGTH = 200;
+
+// Helper function to select the messages of one thread. A thread is the
+// conversation between two users about one product (or about no product).
+// Filtering on both participants keeps everyone else out.
+const threadWhere = (userId, counterpartId, productId) => ({
+  productId: productId || null,
+  [Op.or]: [
+    { senderId: userId, receiverId: counterpartId },
+    { senderId: counterpartId, receiverId: userId }
+  ]
+});
+
+// @route   GET /api/messages/conversations
+// @desc    List conversations grouped by product and counterpart, newest first
+// @access  Private
+router.get('/conversations', authenticate, async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+    const replacements = { userId: req.user.id, limit: pagination.limit, offset: pagination.offset };
+
+    const mine = `
+      SELECT m.*,
+        CASE WHEN m."senderId" = :userId THEN m."receiverId" ELSE m."senderId" END AS "counterpartId"
+      FROM messages m
+      WHERE m."senderId" = :userId OR m."receiverId" = :userId`;
+
+    const conversations = await sequelize.query(`
+      SELECT * FROM (
+        SELECT DISTINCT ON (c."productId", c."counterpartId")
+          c."productId",
+          c."counterpartId",
+          c.id AS "lastMessageId",
+          c.content AS "lastMessage",
+          c."senderId" AS "lastSenderId",
+          c."createdAt" AS "lastMessageAt",
+          COUNT(*) FILTER (WHERE c."receiverId" = :userId AND NOT c."isRead")
+            OVER (PARTITION BY c."productId", c."counterpartId") AS "unreadCount"
+        FROM (${mine}) c
+        ORDER BY c."productId", c."counterpartId", c."createdAt" DESC
+      ) conversations
+      ORDER BY "lastMessageAt" DESC
+      LIMIT :limit OFFSET :offset`, { replacements, type: QueryTypes.SELECT });
+
+    const [{ total }] = await sequelize.query(`
+      SELECT COUNT(*)::int AS total FROM (
+        SELECT DISTINCT c."productId", c."counterpartId" FROM (${mine}) c
+      ) conversations`, { replacements, type: QueryTypes.SELECT });
+
+    // Attach the counterpart and product of each conversation
+    const users = await User.findAll({
+      where: { id: [...new Set(conversations.map(c => c.counterpartId))] },
+      attributes: PARTICIPANT_ATTRIBUTES
+    });
+    const products = await Product.findAll({
+      where: { id: [...new Set(conversations.map(c => c.productId).filter(Boolean))] },
+      attributes: ['id', 'title', 'price'],
+      paranoid: false
+    });
+
+    res.json({
+      success: true,
+      conversations: conversations.map(conversation => ({
+        ...conversation,
+        unreadCount: parseInt(conversation.unreadCount, 10),
+        counterpart: users.find(u => u.id === conversation.counterpartId) || null,
+        product: products.find(p => p.id === conversation.productId) || null
+      })),
+      pagination: paginationMeta(total, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conversations',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/messages/unread-count
+// @desc    Get the number of unread messages for the current user
+// @access  Private
+router.get('/unread-count', authenticate, async (req, res) => {
+  try {
+    const unreadCount = await Message.count({
+      where: { receiverId: req.user.id, isRead: false }
+    });
+
+    res.json({
+      success: true,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Error counting unread messages:', error);
+    res.status(500).json({
+      error: 'Failed to count unread messages',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/messages/conversations/:counterpartId
+// @desc    Get the messages of one thread (?productId= selects the product), newest first
+// @access  Private (participants only)
+router.get('/conversations/:counterpartId', authenticate, validateUuidParam('counterpartId'), validateThreadProduct, async (req, res) => {
+  try {
+    const pagination = getPagination(req.query, { defaultLimit: 50 });
+    const where = threadWhere(req.user.id, req.params.counterpartId, req.query.productId);
+
+    const { rows: messages, count } = await Message.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    const unreadCount = await Message.count({
+      where: { ...where, receiverId: req.user.id, isRead: false }
+    });
+
+    res.json({
+      success: true,
+      messages,
+      unreadCount,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conversation',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/messages/conversations/:counterpartId/read
+// @desc    Mark every message received in a thread as read
+// @access  Private (participants only)
+router.put('/conversations/:counterpartId/read', authenticate, validateUuidParam('counterpartId'), validateThreadProduct, async (req, res) => {
+  try {
+    const productId = req.body.productId || req.query.productId;
+
+    const [updated] = await Message.update(
+      { isRead: true },
+      {
+        where: {
+          productId: productId || null,
+          senderId: req.params.counterpartId,
+          receiverId: req.user.id,
+          isRead: false
+        }
+      }
+    );
+
+    if (updated > 0) {
+      publish(req.params.counterpartId, 'message:read', {
+        readerId: req.user.id,
+        productId: productId || null
+      });
+    }
+
+    res.json({
+      success: true,
+      markedRead: updated
+    });
+
+  } catch (error) {
+    console.error('Error marking conversation read:', error);
+    res.status(500).json({
+      error: 'Failed to mark conversation as read',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/messages
+// @desc    Send a message, optionally about a product
+// @access  Private
+router.post('/', authenticate, validateMessage, async (req, res) => {
+  try {
+    const { receiverId, content } = req.body;
+    const productId = req.body.productId || null;
+
+    if (receiverId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot send a message to yourself' });
+    }
+
+    const receiver = await User.findByPk(receiverId, {
+      attributes: [...PARTICIPANT_ATTRIBUTES, 'isActive', 'email', 'locale', 'emailPreferences']
+    });
+    if (!receiver || !receiver.isActive) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+
+    // Product threads are always between the seller and someone else
+    let product = null;
+    if (productId) {
+      product = await Product.findByPk(productId, { attributes: ['id', 'sellerId', 'title'] });
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      if (product.sellerId !== receiverId && product.sellerId !== req.user.id) {
+        return res.status(400).json({ error: 'Messages about a product must involve its seller' });
+      }
+    }
+
+    const message = await Message.create({
+      content: content.trim(),
+      senderId: req.user.id,
+      receiverId,
+      productId
+    });
+
+    publish(receiverId, 'message:new', message);
+
+    // Only the first unread message from someone is emailed, so a busy
+    // conversation doesn't flood the receiver's inbox
+    const unreadFromSender = await Message.count({
+      where: { senderId: req.user.id, receiverId, isRead: false }
+    });
+    if (unreadFromSender === 1) {
+      const text = message.content;
+      queueEmail(receiver, 'new_message', {
+        senderName: req.user.firstName,
+        productTitle: product ? product.title : null,
+        preview: text.length > EMAIL_PREVIEW_LENGTH ? `${text.slice(0, EMAIL_PREVIEW_LENGTH)}...` : text
+      }).catch((error) => {
+        console.error('Failed to queue new message email:', error.message);
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: message
+    });
+
+  } catch (error) {
+    console.error('Error sending message:', error);
+    res.status(500).json({
+      error: 'Failed to send message',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/messages/:id/read
+// @desc    Mark a single received message as read
+// @access  Private (receiver only)
+router.put('/:id/read', authenticate, validateUuidParam('id'), async (req, res) => {
+  try {
+    const message = await Message.findOne({
+      where: { id: req.params.id, receiverId: req.user.id }
+    });
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    await message.update({ isRead: true });
+
+    res.json({
+      success: true,
+      data: message
+    });
+
+  } catch (error) {
+    console.error('Error marking message read:', error);
+    res.status(500).json({
+      error: 'Failed to mark message as read',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+// routes/notifications.js - In-app notifications of the current user
+const express = require('express');
+const { Notification } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const { validateUuidParam } = require('../middleware/validation');
+const { getPagination, paginationMeta } = require('../utils/pagination');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// @route   GET /api/notifications
+// @desc    Notifications, newest first (unread=true for unread only, page, limit)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+
+    const where = { userId: req.user.id };
+    if (req.query.unread === 'true') {
+      where.readAt = null;
+    }
+
+    const { rows: notifications, count } = await Notification.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      success: true,
+      notifications,
+      count: notifications.length,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      error: 'Failed to fetch notifications',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications (for the badge)
+// @access  Private
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await Notification.count({
+      where: { userId: req.user.id, readAt: null }
+    });
+
+    res.json({
+      success: true,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({
+      error: 'Failed to count notifications',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark every notification as read
+// @access  Private
+router.put('/read-all', async (req, res) => {
+  try {
+    const [updated] = await Notification.update(
+      { readAt: new Date() },
+      { where: { userId: req.user.id, readAt: null } }
+    );
+
+    res.json({
+      success: true,
+      updated
+    });
+
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({
+      error: 'Failed to mark notifications as read',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private
+router.put('/:id/read', validateUuidParam('id'), async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      await notification.update({ readAt: new Date() });
+    }
+
+    res.json({
+      success: true,
+      notification
+    });
+
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({
+      error: 'Failed to mark notification as read',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
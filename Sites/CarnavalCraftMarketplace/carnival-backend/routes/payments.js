@@ -1,8 +1,451 @@
+// routes/payments.js - Stripe checkout and orders
 const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, Order, OrderStatusHistory, Product, Review, User, WebhookEvent } = require('../models');
+const { authenticate, requireVerified } = require('../middleware/auth');
+const { validateUuidParam } = require('../middleware/validation');
+const {
+  ORDER_TRANSITIONS,
+  OrderTransitionError,
+  canTransition,
+  assertUserTransition,
+  transitionOrder
+} = require('../services/orderStatus');
+const {
+  CheckoutError,
+  openCheckout,
+  settlePayment,
+  cancelUnpaidIntent,
+  refundCancelledPayment
+} = require('../services/checkout');
+const { getPagination, paginationMeta } = require('../utils/pagination');
+const {
+  stripe,
+  PAYMENT_METHOD_TYPES,
+  TEST_PAYMENT_METHODS,
+  isTestMode
+} = require('../services/stripe');
+
 const router = express.Router();
 
+// Stripe events we act on, and the order status each one moves to
+const WEBHOOK_TRANSITIONS = {
+  'payment_intent.succeeded': 'paid',
+  'payment_intent.canceled': 'cancelled',
+  'charge.refunded': 'refunded'
+};
+
+// Fields of the buyer/seller that the other party may see on an order
+const ORDER_PARTY_ATTRIBUTES = ['id', 'firstName', 'lastName'];
+
+// Helper function to apply a verified Stripe event exactly once
+const processWebhookEvent = async (event) => {
+  const toStatus = WEBHOOK_TRANSITIONS[event.type];
+
+  return sequelize.transaction(async (transaction) => {
+    // The event ID is the primary key, so a replayed event is a no-op
+    const [, created] = await WebhookEvent.findOrCreate({
+      where: { id: event.id },
+      defaults: { type: event.type },
+      transaction
+    });
+    if (!created) {
+      return { duplicate: true };
+    }
+
+    if (!toStatus) {
+      return { ignored: true };
+    }
+
+    const object = event.data.object;
+    const paymentIntentId = object.object === 'charge' ? object.payment_intent : object.id;
+
+    // Partial refunds leave the order as it is
+    if (event.type === 'charge.refunded' && !object.refunded) {
+      return { ignored: true };
+    }
+
+    const order = await Order.findOne({
+      where: { paymentIntentId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!order) {
+      console.warn(`Webhook ${event.id}: no order for payment intent ${paymentIntentId}`);
+      return { ignored: true };
+    }
+
+    // The buyer's money is returned when a payment beats the cancellation
+    if (toStatus === 'paid' && order.status === 'cancelled') {
+      await refundCancelledPayment(order);
+      return { refunded: true, status: order.status };
+    }
+
+    // Out-of-order or already applied events leave the order as it is
+    if (!canTransition(order.status, toStatus)) {
+      return { ignored: true, status: order.status };
+    }
+
+    const note = `Stripe event ${event.type} (${event.id})`;
+    if (toStatus === 'paid') {
+      await settlePayment(order, { note, transaction });
+    } else {
+      await transitionOrder(order, toStatus, { source: 'stripe', note, transaction });
+    }
+
+    return { orderId: order.id, status: order.status };
+  });
+};
+
+// @route   GET /api/payments
+// @desc    Test payments routes
+// @access  Public
 router.get('/', (req, res) => {
-  res.json({ message: 'Payments routes working' });
+  res.json({
+    message: 'Payments routes working',
+    endpoints: {
+      createPaymentIntent: 'POST /api/payments/create-payment-intent',
+      confirmPayment: 'POST /api/payments/confirm-payment',
+      webhook: 'POST /api/payments/webhook',
+      orders: 'GET /api/payments/orders',
+      order: 'GET /api/payments/orders/:id',
+      updateOrderStatus: 'PUT /api/payments/orders/:id/status'
+    }
+  });
+});
+
+// @route   POST /api/payments/create-payment-intent
+// @desc    Create a pending order and its Stripe payment intent
+// @access  Private (verified email)
+router.post('/create-payment-intent', authenticate, requireVerified, async (req, res) => {
+  try {
+    const { productId, shippingAddress, paymentMethod = 'bancontact' } = req.body;
+
+    if (!productId || !shippingAddress) {
+      return res.status(400).json({ error: 'Product and shipping address are required' });
+    }
+
+    if (!PAYMENT_METHOD_TYPES[paymentMethod]) {
+      return res.status(400).json({
+        error: `Payment method must be one of: ${Object.keys(PAYMENT_METHOD_TYPES).join(', ')}`
+      });
+    }
+
+    const { order, paymentIntent, created } = await openCheckout(req.user, productId, {
+      shippingAddress,
+      paymentMethod
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      order: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        itemPrice: order.itemPrice,
+        platformFee: order.platformFee,
+        totalAmount: order.totalAmount,
+        paymentMethod: order.paymentMethod,
+        status: order.status
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error creating payment intent:', error);
+    res.status(500).json({
+      error: 'Failed to create payment intent',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments/confirm-payment
+// @desc    Confirm the payment intent of a pending order
+// @access  Private
+router.post('/confirm-payment', authenticate, async (req, res) => {
+  try {
+    const { paymentIntentId, paymentMethodType, paymentMethodId } = req.body;
+
+    if (!paymentIntentId || !paymentMethodType) {
+      return res.status(400).json({ error: 'Payment intent and payment method type are required' });
+    }
+
+    const stripeMethodType = PAYMENT_METHOD_TYPES[paymentMethodType];
+    if (!stripeMethodType) {
+      return res.status(400).json({
+        error: `Payment method must be one of: ${Object.keys(PAYMENT_METHOD_TYPES).join(', ')}`
+      });
+    }
+
+    const order = await Order.findOne({
+      where: { paymentIntentId, buyerId: req.user.id }
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(400).json({ error: `Order is already ${order.status}` });
+    }
+
+    const confirmParams = {
+      return_url: `${process.env.FRONTEND_URL || 'http://localhost:8888'}/?order=${order.id}`
+    };
+
+    if (stripeMethodType === 'bancontact') {
+      // Bancontact redirects the buyer to their bank to authorise the payment
+      confirmParams.payment_method_data = {
+        type: 'bancontact',
+        billing_details: { name: `${req.user.firstName} ${req.user.lastName}` }
+      };
+    } else {
+      const cardPaymentMethod = paymentMethodId || (isTestMode() && TEST_PAYMENT_METHODS[paymentMethodType]);
+      if (!cardPaymentMethod) {
+        return res.status(400).json({ error: 'A card payment method is required' });
+      }
+      confirmParams.payment_method = cardPaymentMethod;
+    }
+
+    const paymentIntent = await stripe.paymentIntents.confirm(paymentIntentId, confirmParams);
+
+    await sequelize.transaction(async (transaction) => {
+      // The webhook may have marked the order paid while we were confirming
+      await order.reload({ lock: transaction.LOCK.UPDATE, transaction });
+      await order.update({ paymentMethod: paymentMethodType }, { transaction });
+
+      if (paymentIntent.status === 'succeeded' && canTransition(order.status, 'paid')) {
+        await settlePayment(order, { note: 'Payment confirmed at checkout', transaction });
+      } else if (paymentIntent.status === 'succeeded' && order.status === 'cancelled') {
+        await refundCancelledPayment(order);
+      }
+    });
+
+    res.json({
+      success: true,
+      paymentStatus: paymentIntent.status,
+      redirectUrl: paymentIntent.next_action?.redirect_to_url?.url || null,
+      order: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        totalAmount: order.totalAmount,
+        paymentMethod: order.paymentMethod,
+        status: order.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Error confirming payment:', error);
+
+    if (error.type === 'StripeCardError') {
+      return res.status(402).json({ error: error.message });
+    }
+
+    res.status(500).json({
+      error: 'Failed to confirm payment',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments/webhook
+// @desc    Receive Stripe events (raw body, verified by signature)
+// @access  Stripe
+router.post('/webhook', async (req, res) => {
+  const signature = req.headers['stripe-signature'];
+
+  if (!signature || !Buffer.isBuffer(req.body)) {
+    return res.status(400).json({ error: 'Missing Stripe signature or raw body' });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    console.error('Webhook signature verification failed:', error.message);
+    return res.status(400).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const result = await processWebhookEvent(event);
+    console.log(`Webhook ${event.type} (${event.id}):`, result);
+
+    res.json({ received: true, ...result });
+
+  } catch (error) {
+    // A 500 makes Stripe retry the event later
+    console.error('Error processing webhook:', error);
+    res.status(500).json({
+      error: 'Failed to process webhook',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/orders
+// @desc    Get orders the current user bought or sold
+// @access  Private
+router.get('/orders', authenticate, async (req, res) => {
+  try {
+    const { role, status } = req.query;
+    const pagination = getPagination(req.query);
+
+    // Each user only ever sees their own side of an order
+    let where;
+    if (role === 'buyer') {
+      where = { buyerId: req.user.id };
+    } else if (role === 'seller') {
+      where = { sellerId: req.user.id };
+    } else {
+      where = { [Op.or]: [{ buyerId: req.user.id }, { sellerId: req.user.id }] };
+    }
+
+    if (status) {
+      if (!Object.keys(ORDER_TRANSITIONS).includes(status)) {
+        return res.status(400).json({
+          error: `Status must be one of: ${Object.keys(ORDER_TRANSITIONS).join(', ')}`
+        });
+      }
+      where.status = status;
+    }
+
+    const { rows: orders, count } = await Order.findAndCountAll({
+      where,
+      include: [
+        // Deleted listings stay visible on their orders
+        { model: Product, attributes: ['id', 'title', 'price'], paranoid: false },
+        { model: User, as: 'buyer', attributes: ORDER_PARTY_ATTRIBUTES },
+        { model: User, as: 'seller', attributes: ORDER_PARTY_ATTRIBUTES },
+        // Whether the buyer has reviewed the order yet
+        { model: Review, attributes: ['id', 'rating', 'sellerReply', 'createdAt'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      success: true,
+      orders,
+      count: orders.length,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({
+      error: 'Failed to fetch orders',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/orders/:id
+// @desc    Get a single order with its status history
+// @access  Private (buyer or seller)
+router.get('/orders/:id', authenticate, validateUuidParam('id'), async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      where: {
+        id: req.params.id,
+        [Op.or]: [{ buyerId: req.user.id }, { sellerId: req.user.id }]
+      },
+      include: [
+        { model: Product, attributes: ['id', 'title', 'price', 'description'], paranoid: false },
+        { model: User, as: 'buyer', attributes: ORDER_PARTY_ATTRIBUTES },
+        { model: User, as: 'seller', attributes: ORDER_PARTY_ATTRIBUTES },
+        { model: Review, attributes: ['id', 'rating', 'text', 'sellerReply', 'isHidden', 'createdAt'] },
+        {
+          model: OrderStatusHistory,
+          as: 'statusHistory',
+          attributes: ['fromStatus', 'toStatus', 'source', 'note', 'changedById', 'createdAt']
+        }
+      ],
+      order: [[{ model: OrderStatusHistory, as: 'statusHistory' }, 'createdAt', 'ASC']]
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      success: true,
+      order
+    });
+
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({
+      error: 'Failed to fetch order',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/payments/orders/:id/status
+// @desc    Move an order along its lifecycle (ship, confirm delivery, cancel)
+// @access  Private (buyer or seller, depending on the transition)
+router.put('/orders/:id/status', authenticate, validateUuidParam('id'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: 'Status is required' });
+    }
+
+    const order = await sequelize.transaction(async (transaction) => {
+      const found = await Order.findOne({
+        where: {
+          id: req.params.id,
+          [Op.or]: [{ buyerId: req.user.id }, { sellerId: req.user.id }]
+        },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!found) {
+        return null;
+      }
+
+      assertUserTransition(found, req.user.id, status);
+
+      // Cancelled at Stripe first, so a cancelled order can't be paid later
+      if (status === 'cancelled' && found.paymentIntentId &&
+          !(await cancelUnpaidIntent(found.paymentIntentId))) {
+        throw new CheckoutError('The buyer is paying for this order right now, try again later', 409);
+      }
+
+      return transitionOrder(found, status, {
+        changedById: req.user.id,
+        note: note || null,
+        transaction
+      });
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Order marked ${order.status}`,
+      order
+    });
+
+  } catch (error) {
+    if (error instanceof OrderTransitionError || error instanceof CheckoutError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error updating order status:', error);
+    res.status(500).json({
+      error: 'Failed to update order status',
+      details: error.message
+    });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
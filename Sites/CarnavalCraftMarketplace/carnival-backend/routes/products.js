@@ -1,79 +1,143 @@
 const express = require('express');
-const { Product, User, Category, CarnivalGroup } = require('../models');
+const { sequelize, Product, ProductImage, Category, Order } = require('../models');
+const { authenticate, optionalAuth, requireVerified } = require('../middleware/auth');
+const {
+  validateProductUpdate,
+  validateProductStatus,
+  validateListingVisibility,
+  validateProductSearch,
+  validateUuidParam
+} = require('../middleware/validation');
+const { MAX_PRODUCT_IMAGES, uploadProductImages, uploadSingleImage } = require('../middleware/upload');
+const {
+  ImageProcessingError,
+  storeImageFile,
+  storeImageFiles,
+  removeImageFiles,
+  createProductImages
+} = require('../services/images');
+const { productIncludes, imageOrder, searchProducts } = require('../services/productSearch');
+const { OPEN_ORDER_STATUSES } = require('../services/orderStatus');
+const { getPublicProfile } = require('../services/userProfile');
+const { VisibilityError, resolveVisibility, canViewListing } = require('../services/listingVisibility');
+const { alertWatchers } = require('../services/favorites');
+const { paginationMeta } = require('../utils/pagination');
 const router = express.Router();
 
-// Helper function to authenticate (simple version)
-const authenticate = async (req, res, next) => {
+// Load the product in :id and make sure the current user is its seller
+const requireProductOwner = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'No token provided' });
+    const product = await Product.findByPk(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
     }
-
-    const token = authHeader.split(' ')[1];
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'carnival-secret-key');
-    
-    const user = await User.findByPk(decoded.userId);
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    if (product.sellerId !== req.user.id) {
+      return res.status(403).json({ error: 'Only the seller can change this listing' });
     }
 
-    req.user = user;
+    req.product = product;
     next();
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+    next(error);
   }
 };
 
+// Helper function to return a product's images in order
+const findProductImages = (productId, transaction) =>
+  ProductImage.findAll({
+    where: { productId },
+    order: [['sortOrder', 'ASC']],
+    transaction
+  });
+
+// Helper function to find an order that still depends on a listing
+const findOpenOrder = (productId) =>
+  Order.findOne({
+    where: { productId, status: OPEN_ORDER_STATUSES },
+    attributes: ['id', 'orderNumber', 'status']
+  });
+
+// Helper function to tell the listing's watchers about a price drop or its
+// return, without holding up the seller's response
+const alertWatchersLater = (product, previous) => {
+  alertWatchers(product, previous).catch((error) => {
+    console.error('Failed to alert watchers:', error.message);
+  });
+};
+
+// Helper function to load a product with everything the frontend shows
+const findCompleteProduct = (id) =>
+  Product.findByPk(id, {
+    include: productIncludes(),
+    order: [imageOrder]
+  });
+
 // @route   GET /api/products
-// @desc    Get all products
+// @desc    Search products (q, category, carnivalGroupId, city, condition, size,
+//          color, minPrice, maxPrice, isFeatured, sort, page, limit); signed-in
+//          members also find the group-only listings of their groups
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, validateProductSearch, async (req, res) => {
   try {
-    console.log('Fetching all products...');
-    
-    const products = await Product.findAll({
-      include: [
-        {
-          model: User,
-          as: 'seller',
-          attributes: ['id', 'firstName', 'lastName'],
-          include: [{
-            model: CarnivalGroup,
-            attributes: ['name', 'city', 'country']
-          }]
-        },
-        {
-          model: Category,
-          attributes: ['name', 'slug', 'emoji']
-        }
-      ],
-      where: { isAvailable: true },
-      order: [['createdAt', 'DESC']]
-    });
+    console.log('Searching products:', req.filters);
+
+    const { products, total } = await searchProducts(req.filters, { viewer: req.user });
 
-    console.log(`Found ${products.length} products`);
+    console.log(`Found ${total} products`);
 
     res.json({
       success: true,
       products: products,
-      count: products.length
+      count: products.length,
+      total,
+      pagination: paginationMeta(total, req.filters)
     });
 
   } catch (error) {
     console.error('Error fetching products:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Failed to fetch products',
-      details: error.message 
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/products/user/:userId
+// @desc    Seller storefront: public profile plus active listings
+//          (same filters, sorting and pagination as GET /api/products)
+// @access  Public
+router.get('/user/:userId', optionalAuth, validateUuidParam('userId'), validateProductSearch, async (req, res) => {
+  try {
+    const seller = await getPublicProfile(req.params.userId);
+    if (!seller) {
+      return res.status(404).json({ error: 'Seller not found' });
+    }
+
+    const { products, total } = await searchProducts({ ...req.filters, sellerId: seller.id }, { viewer: req.user });
+
+    res.json({
+      success: true,
+      seller,
+      products: products,
+      count: products.length,
+      total,
+      pagination: paginationMeta(total, req.filters)
+    });
+
+  } catch (error) {
+    console.error('Error fetching storefront:', error);
+    res.status(500).json({
+      error: 'Failed to fetch storefront',
+      details: error.message
     });
   }
 });
 
 // @route   POST /api/products
-// @desc    Create new product
-// @access  Private
-router.post('/', authenticate, async (req, res) => {
+// @desc    Create new product (JSON, or multipart with up to MAX_PRODUCT_IMAGES "images");
+//          optional visibility (public, group, unlisted), visibilityGroupId, promoteAfterDays
+// @access  Private (verified email)
+router.post('/', authenticate, requireVerified, uploadProductImages, async (req, res) => {
   try {
     console.log('Creating product:', req.body);
     console.log('User:', req.user.firstName, req.user.lastName);
@@ -86,7 +150,11 @@ router.post('/', authenticate, async (req, res) => {
       categoryId,
       size,
       color,
-      material
+      material,
+      primaryImageIndex,
+      visibility,
+      visibilityGroupId,
+      promoteAfterDays
     } = req.body;
 
     // Basic validation
@@ -106,40 +174,43 @@ router.post('/', authenticate, async (req, res) => {
       }
     }
 
-    // Create product
-    const product = await Product.create({
-      title,
-      description,
-      price: parseFloat(price),
-      condition: condition || 'good',
-      categoryId: validCategoryId,
-      size: size || null,
-      color: color || null,
-      material: material || null,
-      sellerId: req.user.id,
-      isAvailable: true
-    });
+    const visibilityFields = await resolveVisibility(req.user, { visibility, visibilityGroupId, promoteAfterDays });
+
+    const files = req.files || [];
+    const primaryIndex = Math.min(parseInt(primaryImageIndex, 10) || 0, Math.max(files.length - 1, 0));
+
+    // Write the images first, and remove them again if the listing can't be saved
+    const storedImages = await storeImageFiles(files);
 
-    console.log('Product created successfully:', product.id);
+    let product;
+    try {
+      product = await sequelize.transaction(async (transaction) => {
+        const created = await Product.create({
+          title,
+          description,
+          price: parseFloat(price),
+          condition: condition || 'good',
+          categoryId: validCategoryId,
+          size: size || null,
+          color: color || null,
+          material: material || null,
+          sellerId: req.user.id,
+          isAvailable: true,
+          ...visibilityFields
+        }, { transaction });
+
+        await createProductImages(storedImages, created.id, { primaryIndex, transaction });
+        return created;
+      });
+    } catch (error) {
+      await Promise.all(storedImages.map(removeImageFiles));
+      throw error;
+    }
+
+    console.log('Product created successfully:', product.id, `(${storedImages.length} images)`);
 
     // Fetch complete product with relations
-    const completeProduct = await Product.findByPk(product.id, {
-      include: [
-        {
-          model: User,
-          as: 'seller',
-          attributes: ['id', 'firstName', 'lastName'],
-          include: [{
-            model: CarnivalGroup,
-            attributes: ['name', 'city', 'country']
-          }]
-        },
-        {
-          model: Category,
-          attributes: ['name', 'slug', 'emoji']
-        }
-      ]
-    });
+    const completeProduct = await findCompleteProduct(product.id);
 
     res.status(201).json({
       success: true,
@@ -148,6 +219,9 @@ router.post('/', authenticate, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ImageProcessingError || error instanceof VisibilityError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Error creating product:', error);
     res.status(500).json({
       error: 'Failed to create product',
@@ -156,33 +230,390 @@ router.post('/', authenticate, async (req, res) => {
   }
 });
 
-// @route   GET /api/products/:id
-// @desc    Get single product
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @route   PUT /api/products/:id
+// @desc    Update a listing's details
+// @access  Private (seller only)
+router.put('/:id', authenticate, validateUuidParam('id'), validateProductUpdate, requireProductOwner, async (req, res) => {
+  try {
+    const allowedFields = ['title', 'description', 'price', 'condition', 'categoryId', 'size', 'color', 'material'];
+    const updates = {};
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    // Empty optional fields are cleared
+    ['size', 'color', 'material'].forEach(field => {
+      if (updates[field] === '') {
+        updates[field] = null;
+      }
+    });
+
+    if (updates.categoryId) {
+      const category = await Category.findByPk(updates.categoryId);
+      if (!category) {
+        return res.status(400).json({ error: 'Category not found' });
+      }
+    }
+
+    // isAvailable is kept for older clients; PUT /:id/status is the explicit action
+    const { isAvailable } = req.body;
+    if (isAvailable !== undefined && isAvailable !== req.product.isAvailable) {
+      const openOrder = await findOpenOrder(req.product.id);
+      if (openOrder) {
+        return res.status(409).json({
+          error: `Availability cannot change while order ${openOrder.orderNumber} is ${openOrder.status}`
+        });
+      }
+      updates.isAvailable = isAvailable;
+      updates.status = isAvailable ? 'available' : 'reserved';
+    }
+
+    const previous = { previousPrice: req.product.price, previousStatus: req.product.status };
+    await req.product.update(updates);
+    alertWatchersLater(req.product, previous);
+
+    console.log('Product updated successfully:', req.product.id);
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      product: await findCompleteProduct(req.product.id)
+    });
+
+  } catch (error) {
+    console.error('Error updating product:', error);
+    res.status(500).json({
+      error: 'Failed to update product',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/status
+// @desc    Mark a listing as available, reserved or sold
+// @access  Private (seller only)
+router.put('/:id/status', authenticate, validateUuidParam('id'), validateProductStatus, requireProductOwner, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    // Sales through the marketplace set the status themselves
+    const openOrder = await findOpenOrder(req.product.id);
+    if (openOrder) {
+      return res.status(409).json({
+        error: `Status cannot change while order ${openOrder.orderNumber} is ${openOrder.status}`
+      });
+    }
+
+    const previousStatus = req.product.status;
+    await req.product.update({
+      status,
+      isAvailable: status === 'available'
+    });
+    alertWatchersLater(req.product, { previousStatus });
+
+    console.log(`Product ${req.product.id} marked as ${status}`);
+
+    res.json({
+      success: true,
+      message: `Product marked as ${status}`,
+      product: await findCompleteProduct(req.product.id)
+    });
+
+  } catch (error) {
+    console.error('Error updating product status:', error);
+    res.status(500).json({
+      error: 'Failed to update product status',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/visibility
+// @desc    Choose who sees a listing: public, group (members of visibilityGroupId,
+//          optionally public after promoteAfterDays) or unlisted (link only)
+// @access  Private (seller only)
+router.put('/:id/visibility', authenticate, validateUuidParam('id'), validateListingVisibility, requireProductOwner, async (req, res) => {
+  try {
+    const visibilityFields = await resolveVisibility(req.user, req.body);
+    await req.product.update(visibilityFields);
+
+    console.log(`Product ${req.product.id} visibility set to ${visibilityFields.visibility}`);
+
+    res.json({
+      success: true,
+      message: 'Visibility updated',
+      product: await findCompleteProduct(req.product.id)
+    });
+
+  } catch (error) {
+    if (error instanceof VisibilityError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error updating product visibility:', error);
+    res.status(500).json({
+      error: 'Failed to update visibility',
+      details: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/products/:id
+// @desc    Delete a listing (soft delete, orders keep referring to it)
+// @access  Private (seller only)
+router.delete('/:id', authenticate, validateUuidParam('id'), requireProductOwner, async (req, res) => {
+  try {
+    const openOrder = await findOpenOrder(req.product.id);
+    if (openOrder) {
+      return res.status(409).json({
+        error: `This listing cannot be deleted while order ${openOrder.orderNumber} is ${openOrder.status}`
+      });
+    }
+
+    await req.product.destroy();
+
+    console.log('Product deleted successfully:', req.product.id);
+
+    res.json({
+      success: true,
+      message: 'Product deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting product:', error);
+    res.status(500).json({
+      error: 'Failed to delete product',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/products/:id/images
+// @desc    Add images to a listing
+// @access  Private (seller only)
+router.post('/:id/images', authenticate, validateUuidParam('id'), requireProductOwner, uploadProductImages, async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No images uploaded' });
+    }
+
+    const existing = await findProductImages(req.product.id);
+    if (existing.length + files.length > MAX_PRODUCT_IMAGES) {
+      return res.status(400).json({
+        error: `A listing can have at most ${MAX_PRODUCT_IMAGES} images (it has ${existing.length})`
+      });
+    }
+
+    const storedImages = await storeImageFiles(files);
+    try {
+      await sequelize.transaction((transaction) =>
+        createProductImages(storedImages, req.product.id, {
+          // Only the first image of a listing becomes primary automatically
+          primaryIndex: existing.length === 0 ? 0 : -1,
+          startOrder: existing.length ? existing[existing.length - 1].sortOrder + 1 : 0,
+          transaction
+        })
+      );
+    } catch (error) {
+      await Promise.all(storedImages.map(removeImageFiles));
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Images added successfully',
+      images: await findProductImages(req.product.id)
+    });
+
+  } catch (error) {
+    if (error instanceof ImageProcessingError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error adding product images:', error);
+    res.status(500).json({
+      error: 'Failed to add images',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/images/order
+// @desc    Reorder a listing's images ({ imageIds: [...] } in the new order)
+// @access  Private (seller only)
+router.put('/:id/images/order', authenticate, validateUuidParam('id'), requireProductOwner, async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+    const images = await findProductImages(req.product.id);
+
+    const sameImages = Array.isArray(imageIds) &&
+      imageIds.length === images.length &&
+      new Set(imageIds).size === images.length &&
+      images.every(image => imageIds.includes(image.id));
+
+    if (!sameImages) {
+      return res.status(400).json({ error: 'imageIds must list every image of this product exactly once' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const [index, imageId] of imageIds.entries()) {
+        await ProductImage.update(
+          { sortOrder: index },
+          { where: { id: imageId, productId: req.product.id }, transaction }
+        );
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Images reordered successfully',
+      images: await findProductImages(req.product.id)
+    });
+
+  } catch (error) {
+    console.error('Error reordering product images:', error);
+    res.status(500).json({
+      error: 'Failed to reorder images',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/images/:imageId/primary
+// @desc    Make an image the listing's primary image
+// @access  Private (seller only)
+router.put('/:id/images/:imageId/primary', authenticate, validateUuidParam('id'), validateUuidParam('imageId'), requireProductOwner, async (req, res) => {
   try {
-    const product = await Product.findByPk(req.params.id, {
-      include: [
-        {
-          model: User,
-          as: 'seller',
-          attributes: ['id', 'firstName', 'lastName'],
-          include: [{
-            model: CarnivalGroup,
-            attributes: ['name', 'city', 'country']
-          }]
-        },
-        {
-          model: Category,
-          attributes: ['name', 'slug', 'emoji']
+    const image = await ProductImage.findOne({
+      where: { id: req.params.imageId, productId: req.product.id }
+    });
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await ProductImage.update({ isPrimary: false }, { where: { productId: req.product.id }, transaction });
+      await image.update({ isPrimary: true }, { transaction });
+    });
+
+    res.json({
+      success: true,
+      message: 'Primary image updated',
+      images: await findProductImages(req.product.id)
+    });
+
+  } catch (error) {
+    console.error('Error setting primary image:', error);
+    res.status(500).json({
+      error: 'Failed to set primary image',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/images/:imageId
+// @desc    Replace an image's file, keeping its position and primary flag
+// @access  Private (seller only)
+router.put('/:id/images/:imageId', authenticate, validateUuidParam('id'), validateUuidParam('imageId'), requireProductOwner, uploadSingleImage, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
+
+    const image = await ProductImage.findOne({
+      where: { id: req.params.imageId, productId: req.product.id }
+    });
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const previous = { filename: image.filename, variants: image.variants };
+    const stored = await storeImageFile(req.file);
+    try {
+      await image.update(stored);
+    } catch (error) {
+      await removeImageFiles(stored);
+      throw error;
+    }
+    await removeImageFiles(previous);
+
+    res.json({
+      success: true,
+      message: 'Image replaced successfully',
+      image
+    });
+
+  } catch (error) {
+    if (error instanceof ImageProcessingError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error replacing product image:', error);
+    res.status(500).json({
+      error: 'Failed to replace image',
+      details: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/products/:id/images/:imageId
+// @desc    Delete an image (the next one becomes primary if needed)
+// @access  Private (seller only)
+router.delete('/:id/images/:imageId', authenticate, validateUuidParam('id'), validateUuidParam('imageId'), requireProductOwner, async (req, res) => {
+  try {
+    const image = await ProductImage.findOne({
+      where: { id: req.params.imageId, productId: req.product.id }
+    });
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await image.destroy({ transaction });
+
+      if (image.isPrimary) {
+        const [next] = await findProductImages(req.product.id, transaction);
+        if (next) {
+          await next.update({ isPrimary: true }, { transaction });
         }
-      ]
+      }
     });
+    await removeImageFiles(image);
 
-    if (!product) {
+    res.json({
+      success: true,
+      message: 'Image deleted successfully',
+      images: await findProductImages(req.product.id)
+    });
+
+  } catch (error) {
+    console.error('Error deleting product image:', error);
+    res.status(500).json({
+      error: 'Failed to delete image',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/products/:id
+// @desc    Get single product (hidden listings only for the seller and moderators,
+//          group-only listings only for members of the group)
+// @access  Public
+router.get('/:id', optionalAuth, validateUuidParam('id'), async (req, res) => {
+  try {
+    const product = await findCompleteProduct(req.params.id);
+
+    if (!product || !(await canViewListing(product, req.user))) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    // Popularity sorting is based on views; the seller's own don't count
+    if (!req.user || req.user.id !== product.sellerId) {
+      product.increment('viewCount').catch((error) => {
+        console.error('Failed to count product view:', error.message);
+      });
+    }
+
     res.json({
       success: true,
       product: product
@@ -197,4 +628,4 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
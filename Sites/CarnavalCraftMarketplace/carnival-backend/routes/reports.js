@@ -0,0 +1,79 @@
+// routes/reports.js - Reporting listings, members, messages and reviews
+const express = require('express');
+const { Report } = require('../models');
+const { authenticate, requireVerified } = require('../middleware/auth');
+const { validateReport } = require('../middleware/validation');
+const { ReportError, createReport } = require('../services/reports');
+const { getPagination, paginationMeta } = require('../utils/pagination');
+
+const router = express.Router();
+
+// @route   POST /api/reports
+// @desc    Report a product, user, message or review (targetType, targetId, reason, details)
+// @access  Private (verified email)
+router.post('/', authenticate, requireVerified, validateReport, async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+
+    const { report, autoHidden } = await createReport(req.user, { targetType, targetId, reason, details });
+
+    console.log(`🚩 ${targetType} ${targetId} reported for ${reason}${autoHidden ? ' (hidden automatically)' : ''}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks, a moderator will review your report',
+      report: {
+        id: report.id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ReportError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error creating report:', error);
+    res.status(500).json({
+      error: 'Failed to submit report',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/reports/mine
+// @desc    Reports the current user filed, with their outcome
+// @access  Private
+router.get('/mine', authenticate, async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+
+    const { rows: reports, count } = await Report.findAndCountAll({
+      where: { reporterId: req.user.id },
+      // Moderators' notes are internal
+      attributes: ['id', 'targetType', 'targetId', 'reason', 'details', 'status', 'resolvedAt', 'createdAt'],
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      success: true,
+      reports,
+      count: reports.length,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reports',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+// routes/reviews.js - Seller reviews and replies
+const express = require('express');
+const { Product, Review, User } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const { uploadSingleImage } = require('../middleware/upload');
+const { validateReview, validateReviewReply, validateUuidParam } = require('../middleware/validation');
+const { ImageProcessingError, storeImageFile, removeImageFiles } = require('../services/images');
+const { ReviewError, createReview, replyToReview, ratingDistribution } = require('../services/reviews');
+const { getPagination, paginationMeta } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Reviews show the reviewer's first name only
+const REVIEWER_ATTRIBUTES = ['id', 'firstName', 'city'];
+
+// Helper function to keep what the public may see of a review
+const publicReview = (review) => ({
+  id: review.id,
+  rating: review.rating,
+  text: review.text,
+  photo: review.photo ? { url: review.photo.url, variants: review.photo.variants } : null,
+  sellerReply: review.sellerReply,
+  sellerRepliedAt: review.sellerRepliedAt,
+  createdAt: review.createdAt,
+  reviewer: review.reviewer,
+  product: review.Product
+});
+
+// @route   POST /api/reviews
+// @desc    Review a delivered order (multipart: orderId, rating 1-5, text and an
+//          optional "image" file)
+// @access  Private (buyer of the order)
+router.post('/', authenticate, uploadSingleImage, validateReview, async (req, res) => {
+  try {
+    const { orderId, rating, text } = req.body;
+
+    // Write the photo first, and remove it again if the review can't be saved
+    const stored = req.file ? await storeImageFile(req.file) : null;
+
+    let review;
+    try {
+      review = await createReview(req.user, {
+        orderId,
+        rating: parseInt(rating, 10),
+        text: text.trim(),
+        photo: stored && { filename: stored.filename, url: stored.url, variants: stored.variants }
+      });
+    } catch (error) {
+      if (stored) {
+        await removeImageFiles(stored);
+      }
+      throw error;
+    }
+
+    console.log(`⭐ Order ${orderId} reviewed with ${review.rating} stars`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your review!',
+      review
+    });
+
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'You have already reviewed this order' });
+    }
+    if (error instanceof ReviewError || error instanceof ImageProcessingError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error creating review:', error);
+    res.status(500).json({
+      error: 'Failed to save review',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/reviews/seller/:userId
+// @desc    A seller's visible reviews, newest first, with their rating (page, limit)
+// @access  Public
+router.get('/seller/:userId', validateUuidParam('userId'), async (req, res) => {
+  try {
+    const seller = await User.findOne({
+      where: { id: req.params.userId, isActive: true },
+      attributes: ['id', 'ratingAverage', 'reviewCount']
+    });
+    if (!seller) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const pagination = getPagination(req.query);
+
+    const [{ rows: reviews, count }, distribution] = await Promise.all([
+      Review.findAndCountAll({
+        where: { sellerId: seller.id, isHidden: false },
+        include: [
+          { model: User, as: 'reviewer', attributes: REVIEWER_ATTRIBUTES },
+          { model: Product, attributes: ['id', 'title'], paranoid: false }
+        ],
+        order: [['createdAt', 'DESC']],
+        limit: pagination.limit,
+        offset: pagination.offset
+      }),
+      ratingDistribution(seller.id)
+    ]);
+
+    res.json({
+      success: true,
+      rating: {
+        average: seller.ratingAverage === null ? null : Number(seller.ratingAverage),
+        count: seller.reviewCount,
+        distribution
+      },
+      reviews: reviews.map(publicReview),
+      count: reviews.length,
+      pagination: paginationMeta(count, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reviews',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/reviews/:id/reply
+// @desc    Reply to a review of one of your sales (once)
+// @access  Private (seller only)
+router.put('/:id/reply', authenticate, validateUuidParam('id'), validateReviewReply, async (req, res) => {
+  try {
+    const review = await Review.findByPk(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    await replyToReview(review, req.user, { reply: req.body.reply.trim() });
+
+    res.json({
+      success: true,
+      message: 'Your reply has been posted',
+      review
+    });
+
+  } catch (error) {
+    if (error instanceof ReviewError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error replying to review:', error);
+    res.status(500).json({
+      error: 'Failed to post reply',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,203 @@
+// routes/savedSearches.js - Saved searches and their listing alerts
+const express = require('express');
+const { SavedSearch } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const {
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validateSavedSearchUnsubscribe,
+  validateUuidParam
+} = require('../middleware/validation');
+const {
+  SavedSearchError,
+  createSavedSearch,
+  updateSavedSearch,
+  unsubscribe
+} = require('../services/savedSearches');
+const { searchProducts } = require('../services/productSearch');
+const { getPagination, paginationMeta } = require('../utils/pagination');
+
+const router = express.Router();
+
+// The unsubscribe token only ever goes out by email
+const publicSavedSearch = (search) => {
+  const { unsubscribeToken, ...rest } = search.toJSON();
+  return rest;
+};
+
+// Load the current user's saved search in :id
+const findOwnSavedSearch = async (req, res) => {
+  const search = await SavedSearch.findOne({
+    where: { id: req.params.id, userId: req.user.id }
+  });
+  if (!search) {
+    res.status(404).json({ error: 'Saved search not found' });
+    return null;
+  }
+  return search;
+};
+
+// @route   POST /api/saved-searches/unsubscribe
+// @desc    Stop the alerts of one saved search (token from the email's link)
+// @access  Public
+router.post('/unsubscribe', validateSavedSearchUnsubscribe, async (req, res) => {
+  try {
+    const search = await unsubscribe(req.body.token);
+    if (!search) {
+      return res.status(404).json({ error: 'This unsubscribe link is no longer valid' });
+    }
+
+    res.json({
+      success: true,
+      message: `You will no longer get emails for "${search.name}"`
+    });
+
+  } catch (error) {
+    console.error('Error unsubscribing saved search:', error);
+    res.status(500).json({
+      error: 'Failed to unsubscribe',
+      details: error.message
+    });
+  }
+});
+
+router.use(authenticate);
+
+// @route   GET /api/saved-searches
+// @desc    The current user's saved searches
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const searches = await SavedSearch.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      savedSearches: searches.map(publicSavedSearch),
+      count: searches.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved searches',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/saved-searches
+// @desc    Save a search (name, filters as for GET /api/products, frequency
+//          immediate or daily)
+// @access  Private
+router.post('/', validateSavedSearch, async (req, res) => {
+  try {
+    const search = await createSavedSearch(req.user, req.body);
+
+    console.log(`🔔 Search "${search.name}" saved (${search.frequency})`);
+
+    res.status(201).json({
+      success: true,
+      message: req.user.isVerified
+        ? 'Search saved; new listings will be emailed to you'
+        : 'Search saved; verify your email address to get alerts',
+      savedSearch: publicSavedSearch(search)
+    });
+
+  } catch (error) {
+    if (error instanceof SavedSearchError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error saving search:', error);
+    res.status(500).json({
+      error: 'Failed to save search',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/saved-searches/:id/results
+// @desc    Run a saved search (page, limit)
+// @access  Private
+router.get('/:id/results', validateUuidParam('id'), async (req, res) => {
+  try {
+    const search = await findOwnSavedSearch(req, res);
+    if (!search) return;
+
+    const pagination = getPagination(req.query);
+    const { products, total } = await searchProducts(
+      { ...search.filters, page: pagination.page, limit: pagination.limit },
+      { viewer: req.user }
+    );
+
+    res.json({
+      success: true,
+      savedSearch: publicSavedSearch(search),
+      products,
+      count: products.length,
+      total,
+      pagination: paginationMeta(total, pagination)
+    });
+
+  } catch (error) {
+    console.error('Error running saved search:', error);
+    res.status(500).json({
+      error: 'Failed to run saved search',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Rename a saved search, change its filters or frequency, or switch
+//          its alerts on or off
+// @access  Private
+router.put('/:id', validateUuidParam('id'), validateSavedSearchUpdate, async (req, res) => {
+  try {
+    const search = await findOwnSavedSearch(req, res);
+    if (!search) return;
+
+    await updateSavedSearch(search, req.body);
+
+    res.json({
+      success: true,
+      message: 'Saved search updated',
+      savedSearch: publicSavedSearch(search)
+    });
+
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(500).json({
+      error: 'Failed to update saved search',
+      details: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private
+router.delete('/:id', validateUuidParam('id'), async (req, res) => {
+  try {
+    const search = await findOwnSavedSearch(req, res);
+    if (!search) return;
+
+    await search.destroy();
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({
+      error: 'Failed to delete saved search',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,291 @@
+// routes/users.js - Account management and public profiles
 const express = require('express');
+const bcrypt = require('bcryptjs');
+const { CarnivalGroup, Message, Order, Product, User } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const {
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateUuidParam
+} = require('../middleware/validation');
+const { issueSession, revokeAllSessions } = require('../services/sessions');
+const { checkLoginAllowed, recordLoginFailure } = require('../services/loginProtection');
+const { findMembership } = require('../services/groups');
+const { getPublicProfile } = require('../services/userProfile');
+const { productIncludes, imageOrder } = require('../services/productSearch');
+const { emailPreferencesFor } = require('../services/email');
 const router = express.Router();
 
+const PROFILE_FIELDS = ['firstName', 'lastName', 'phone', 'address', 'city', 'postalCode', 'carnivalGroupId', 'locale'];
+const PARTY_ATTRIBUTES = ['id', 'firstName', 'lastName'];
+const RECENT_LIMIT = 5;
+
+// Orders whose money is on its way to the seller, and orders that are done
+const PENDING_EARNING_STATUSES = ['paid', 'shipped'];
+const COMPLETED_EARNING_STATUSES = ['delivered'];
+
+// Helper function to load the signed-in user's own profile, with every
+// email preference filled in
+const findProfile = async (userId) => {
+  const user = await User.findByPk(userId, {
+    attributes: { exclude: ['password'] },
+    include: [{
+      model: CarnivalGroup,
+      attributes: ['id', 'name', 'city', 'country']
+    }]
+  });
+  if (user) {
+    user.setDataValue('emailPreferences', emailPreferencesFor(user));
+  }
+  return user;
+};
+
+// Helper function to turn grouped counts into { status: count } with zeroes
+const countsByStatus = (rows, statuses) => {
+  const counts = Object.fromEntries(statuses.map(status => [status, 0]));
+  rows.forEach(row => {
+    counts[row.status] = parseInt(row.count, 10);
+  });
+  counts.total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  return counts;
+};
+
+// Helper function to round a SUM() result to euros and cents
+const toAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
 router.get('/', (req, res) => {
   res.json({ message: 'Users routes working' });
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   GET /api/users/profile
+// @desc    Get the signed-in user's profile
+// @access  Private
+router.get('/profile', authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: await findProfile(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({
+      error: 'Failed to fetch profile',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/users/profile
+// @desc    Update the signed-in user's profile
+// @access  Private
+router.put('/profile', authenticate, validateProfileUpdate, async (req, res) => {
+  try {
+    const updates = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    // Empty optional fields are cleared
+    ['phone', 'address', 'city', 'postalCode'].forEach(field => {
+      if (updates[field] === '') {
+        updates[field] = null;
+      }
+    });
+
+    // Email preferences left out of the request keep their current value
+    if (req.body.emailPreferences) {
+      updates.emailPreferences = { ...emailPreferencesFor(req.user), ...req.body.emailPreferences };
+    }
+
+    // The primary group has to be one the user is an approved member of
+    if (updates.carnivalGroupId && updates.carnivalGroupId !== req.user.carnivalGroupId) {
+      const membership = await findMembership(req.user.id, updates.carnivalGroupId);
+      if (!membership || membership.status !== 'approved') {
+        return res.status(400).json({ error: 'You can only choose a group you are a member of as your primary group' });
+      }
+    }
+
+    await req.user.update(updates);
+
+    console.log('Profile updated:', req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: await findProfile(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({
+      error: 'Failed to update profile',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/users/change-password
+// @desc    Change password; every other session is signed out
+// @access  Private
+router.put('/change-password', authenticate, validatePasswordChange, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    // Same delays and lockout as the login form
+    const blocked = await checkLoginAllowed(req.user.email, req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json({ error: blocked.error, retryAfter: blocked.retryAfter });
+    }
+
+    const isValidPassword = await bcrypt.compare(currentPassword, req.user.password);
+    if (!isValidPassword) {
+      await recordLoginFailure(req.user.email, req.ip);
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    // An outstanding reset link shouldn't outlive the password it was for
+    await req.user.update({
+      password: await bcrypt.hash(newPassword, 12),
+      passwordResetTokenHash: null,
+      passwordResetExpiresAt: null
+    });
+    await revokeAllSessions(req.user);
+
+    console.log('Password changed:', req.user.id);
+
+    // A fresh session keeps this device signed in
+    const { token, refreshToken } = await issueSession(req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token,
+      refreshToken
+    });
+
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({
+      error: 'Failed to change password',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/users/dashboard
+// @desc    Listings, orders bought and sold, unread messages and earnings
+// @access  Private
+router.get('/dashboard', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const orderStatuses = Order.rawAttributes.status.values;
+
+    const [
+      listingRows,
+      boughtRows,
+      soldRows,
+      unreadMessages,
+      pendingEarnings,
+      completedEarnings,
+      recentListings,
+      recentPurchases,
+      recentSales
+    ] = await Promise.all([
+      Product.count({ where: { sellerId: userId }, group: ['status'] }),
+      Order.count({ where: { buyerId: userId }, group: ['status'] }),
+      Order.count({ where: { sellerId: userId }, group: ['status'] }),
+      Message.count({ where: { receiverId: userId, isRead: false } }),
+      Order.sum('itemPrice', { where: { sellerId: userId, status: PENDING_EARNING_STATUSES } }),
+      Order.sum('itemPrice', { where: { sellerId: userId, status: COMPLETED_EARNING_STATUSES } }),
+      Product.findAll({
+        where: { sellerId: userId },
+        include: productIncludes(),
+        order: [['createdAt', 'DESC'], imageOrder],
+        limit: RECENT_LIMIT
+      }),
+      Order.findAll({
+        where: { buyerId: userId },
+        include: [
+          { model: Product, attributes: ['id', 'title', 'price'], paranoid: false },
+          { model: User, as: 'seller', attributes: PARTY_ATTRIBUTES }
+        ],
+        order: [['createdAt', 'DESC']],
+        limit: RECENT_LIMIT
+      }),
+      Order.findAll({
+        where: { sellerId: userId },
+        include: [
+          { model: Product, attributes: ['id', 'title', 'price'], paranoid: false },
+          { model: User, as: 'buyer', attributes: PARTY_ATTRIBUTES }
+        ],
+        order: [['createdAt', 'DESC']],
+        limit: RECENT_LIMIT
+      })
+    ]);
+
+    const pending = toAmount(pendingEarnings);
+    const completed = toAmount(completedEarnings);
+
+    res.json({
+      success: true,
+      dashboard: {
+        listings: {
+          counts: countsByStatus(listingRows, Product.rawAttributes.status.values),
+          recent: recentListings
+        },
+        purchases: {
+          counts: countsByStatus(boughtRows, orderStatuses),
+          recent: recentPurchases
+        },
+        sales: {
+          counts: countsByStatus(soldRows, orderStatuses),
+          recent: recentSales
+        },
+        unreadMessages,
+        // Sellers receive the item price; the platform fee is paid by the buyer
+        earnings: {
+          pending,
+          completed,
+          total: toAmount(pending + completed)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching dashboard:', error);
+    res.status(500).json({
+      error: 'Failed to fetch dashboard',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/users/:userId/public
+// @desc    Public profile of a user (no contact details)
+// @access  Public
+router.get('/:userId/public', validateUuidParam('userId'), async (req, res) => {
+  try {
+    const user = await getPublicProfile(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      user
+    });
+
+  } catch (error) {
+    console.error('Error fetching public profile:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user profile',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+// scripts/promote-admin.js - Make an existing account a platform admin
+//
+// Usage: npm run promote-admin -- someone@example.com [--force]
+//
+// Meant for the first admin; after that, admins promote each other through
+// PUT /api/admin/users/:id/role. --force promotes even if an admin exists.
+require('dotenv').config();
+const path = require('path');
+
+const modelsPath = path.join(__dirname, '..', 'models');
+const { sequelize, User } = require(modelsPath);
+const { recordAudit } = require(path.join(__dirname, '..', 'services', 'auditLog'));
+
+async function promoteAdmin(email, { force = false } = {}) {
+  try {
+    if (!email) {
+      console.error('❌ Usage: npm run promote-admin -- <email> [--force]');
+      return { success: false, error: 'No email given' };
+    }
+
+    console.log('🔗 Connecting to the database...');
+    await sequelize.authenticate();
+    await sequelize.sync({ alter: true });
+
+    const user = await User.findOne({ where: { email } });
+    if (!user) {
+      console.error(`❌ No account with email ${email}`);
+      return { success: false, error: 'User not found' };
+    }
+
+    if (user.role === 'admin') {
+      console.log(`⏭️  ${user.email} is already an admin`);
+      return { success: true, alreadyAdmin: true };
+    }
+
+    const adminCount = await User.count({ where: { role: 'admin' } });
+    if (adminCount > 0 && !force) {
+      console.error(`❌ There ${adminCount === 1 ? 'is already 1 admin' : `are already ${adminCount} admins`}; promote through the admin console or pass --force`);
+      return { success: false, error: 'An admin already exists' };
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const from = { role: user.role };
+      await user.update({ role: 'admin' }, { transaction });
+      await recordAudit({
+        actor: null,
+        action: 'user.role',
+        targetType: 'user',
+        targetId: user.id,
+        reason: 'Promoted with scripts/promote-admin.js',
+        details: { from, to: { role: 'admin' } }
+      }, { transaction });
+    });
+
+    console.log(`🛡️ ${user.email} is now a platform admin`);
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Error promoting admin:', error);
+    return { success: false, error: error.message };
+  } finally {
+    try {
+      await sequelize.close();
+      console.log('🔒 Database connection closed');
+    } catch (closeError) {
+      console.error('Error closing database connection:', closeError);
+    }
+  }
+}
+
+// Run from the command line
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const email = args.find(arg => !arg.startsWith('--'));
+  promoteAdmin(email, { force: args.includes('--force') }).then((result) => {
+    process.exitCode = result.success ? 0 : 1;
+  });
+}
+
+module.exports = { promoteAdmin };
@@ -4,7 +4,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -13,24 +12,40 @@ const productRoutes = require('./routes/products');
 const paymentRoutes = require('./routes/payments');
 const carnivalGroupRoutes = require('./routes/carnivalGroups');
 const categoryRoutes = require('./routes/categories');
+const messageRoutes = require('./routes/messages');
+const eventRoutes = require('./routes/events');
+const adminRoutes = require('./routes/admin');
+const reportRoutes = require('./routes/reports');
+const notificationRoutes = require('./routes/notifications');
+const reviewRoutes = require('./routes/reviews');
+const favoriteRoutes = require('./routes/favorites');
+const savedSearchRoutes = require('./routes/savedSearches');
 
 // Import database
 const { sequelize } = require('./models');
+const { UPLOAD_DIR } = require('./services/images');
+const { ensureSearchIndex } = require('./services/searchIndex');
+const { backfillPrimaryMemberships } = require('./services/groups');
+const { apiLimiter } = require('./middleware/rateLimit');
+const { startScheduler } = require('./services/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Security middleware
-app.use(helmet());
+// Uploaded images are loaded by the frontend from another origin
+app.use(helmet({ crossOriginResourcePolicy: { policy: 'cross-origin' } }));
 app.use(compression());
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use('/api/', limiter);
+// Behind a load balancer, req.ip (used by the rate limits) must come from X-Forwarded-For
+// (TRUST_PROXY=true, a hop count, or addresses/subnets as accepted by Express)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (parseInt(trustProxy, 10) || trustProxy));
+}
+
+// Rate limiting: read, write and auth tiers (see middleware/rateLimit.js)
+app.use('/api/', apiLimiter);
 
 // CORS configuration
 app.use(cors({
@@ -38,12 +53,15 @@ app.use(cors({
   credentials: true
 }));
 
+// Stripe webhooks are verified against the raw body, so parse them before express.json()
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static file serving for uploaded images
-app.use('/uploads', express.static('uploads'));
+app.use('/uploads', express.static(UPLOAD_DIR));
 
 // API Routes
 app.use('/api/auth', authRoutes);
@@ -52,6 +70,14 @@ app.use('/api/products', productRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/carnival-groups', carnivalGroupRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/favorites', favoriteRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -100,6 +126,16 @@ async function startServer() {
     // Sync database (create tables if they don't exist)
     await sequelize.sync({ alter: true });
     console.log('✅ Database synchronized successfully.');
+
+    // Full-text search configuration, trigger and index for products
+    await ensureSearchIndex();
+    console.log('✅ Product search index ready.');
+
+    // Members from before group memberships existed
+    await backfillPrimaryMemberships();
+
+    // Pruning and other periodic jobs (services/scheduler.js)
+    startScheduler();
     
     app.listen(PORT, () => {
       console.log(`🚀 Carnival Marketplace API server running on port ${PORT}`);
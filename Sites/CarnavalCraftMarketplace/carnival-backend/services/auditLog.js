@@ -0,0 +1,19 @@
+// services/auditLog.js - Audit trail of admin and moderator actions
+const { AuditLog } = require('../models');
+
+// Record one action. `actor` is the acting user (null for command line
+// scripts), `details` any JSON describing the change, typically { from, to }.
+const recordAudit = ({ actor, action, targetType, targetId, reason, details, req }, { transaction } = {}) =>
+  AuditLog.create({
+    actorId: actor ? actor.id : null,
+    action,
+    targetType,
+    targetId: targetId ? String(targetId) : null,
+    reason: reason || null,
+    details: details || null,
+    ipAddress: req ? req.ip || null : null
+  }, { transaction });
+
+module.exports = {
+  recordAudit
+};
@@ -0,0 +1,229 @@
+// services/checkout.js - Buying a listing
+//
+// A listing is sold once. Opening a checkout locks the product row and
+// creates the pending order (and its Stripe payment intent) only while no
+// other buyer has an open order for it; a buyer who opens checkout again gets
+// their pending order back. A payment that still succeeds for a listing that
+// was sold in the meantime is refunded instead of marking a second order paid.
+// Checkouts that aren't paid within PENDING_ORDER_TTL_MINUTES are cancelled by
+// services/scheduler.js, so an abandoned checkout doesn't hold the listing.
+// An order is only cancelled once its payment intent is cancelled at Stripe,
+// and a payment that still arrives for a cancelled order is refunded.
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, Order, Product } = require('../models');
+const {
+  OPEN_ORDER_STATUSES,
+  SOLD_ORDER_STATUSES,
+  transitionOrder,
+  recordOrderCreated
+} = require('./orderStatus');
+const { stripe, PLATFORM_FEE_RATE, CURRENCY, PAYMENT_METHOD_TYPES, toCents } = require('./stripe');
+const { canViewListing } = require('./listingVisibility');
+
+const PENDING_ORDER_TTL_MINUTES = parseInt(process.env.PENDING_ORDER_TTL_MINUTES, 10) || 60;
+const EXPIRE_BATCH_SIZE = 50;
+
+// Payment intents that are being (or have been) paid
+const PAYING_INTENT_STATUSES = ['processing', 'requires_capture', 'succeeded'];
+
+class CheckoutError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Helper function to generate a human readable order number
+const generateOrderNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `CC-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+// Open a checkout for a listing. Returns { order, paymentIntent, created };
+// created is false when the buyer's earlier pending order is returned.
+const openCheckout = async (buyer, productId, { shippingAddress, paymentMethod }) => {
+  let paymentIntent = null;
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const product = await Product.findByPk(productId, { lock: transaction.LOCK.UPDATE, transaction });
+      // Group-only listings can only be bought by members of the group
+      if (!product || !product.isAvailable || product.isHidden || !(await canViewListing(product, buyer))) {
+        throw new CheckoutError('Product not found or no longer available', 404);
+      }
+      if (product.sellerId === buyer.id) {
+        throw new CheckoutError('You cannot buy your own product');
+      }
+
+      const openOrder = await Order.findOne({
+        where: { productId: product.id, status: OPEN_ORDER_STATUSES },
+        transaction
+      });
+      if (openOrder) {
+        if (openOrder.buyerId !== buyer.id || openOrder.status !== 'pending') {
+          throw new CheckoutError('Someone else is already buying this product', 409);
+        }
+        await openOrder.update({ shippingAddress, paymentMethod }, { transaction });
+        return { order: openOrder, created: false };
+      }
+
+      // Amounts are always computed server side
+      const itemPrice = parseFloat(product.price);
+      const platformFee = Math.round(itemPrice * PLATFORM_FEE_RATE * 100) / 100;
+      const totalAmount = Math.round((itemPrice + platformFee) * 100) / 100;
+      const orderNumber = generateOrderNumber();
+
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: toCents(totalAmount),
+        currency: CURRENCY,
+        payment_method_types: [...new Set(Object.values(PAYMENT_METHOD_TYPES))],
+        description: `CarnivalCraft order ${orderNumber}: ${product.title}`,
+        metadata: {
+          orderNumber,
+          productId: product.id,
+          buyerId: buyer.id,
+          sellerId: product.sellerId
+        }
+      });
+
+      const order = await Order.create({
+        orderNumber,
+        itemPrice,
+        platformFee,
+        totalAmount,
+        paymentMethod,
+        paymentIntentId: paymentIntent.id,
+        shippingAddress,
+        buyerId: buyer.id,
+        sellerId: product.sellerId,
+        productId: product.id
+      }, { transaction });
+      await recordOrderCreated(order, { changedById: buyer.id, transaction });
+
+      return { order, created: true };
+    });
+
+    if (!result.created) {
+      paymentIntent = await stripe.paymentIntents.retrieve(result.order.paymentIntentId);
+    }
+    return { ...result, paymentIntent };
+  } catch (error) {
+    // Don't leave an orphaned payment intent behind
+    if (paymentIntent) {
+      await stripe.paymentIntents.cancel(paymentIntent.id).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+// Mark a pending order paid, unless its listing was sold to someone else in
+// the meantime: then the payment is refunded and the order cancelled. Call
+// inside a transaction with the order row locked.
+const settlePayment = async (order, { note, transaction }) => {
+  const product = await Product.findByPk(order.productId, {
+    paranoid: false,
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+  const soldElsewhere = await Order.count({
+    where: { productId: order.productId, id: { [Op.ne]: order.id }, status: SOLD_ORDER_STATUSES },
+    transaction
+  });
+
+  if (product && product.status !== 'sold' && !soldElsewhere) {
+    return transitionOrder(order, 'paid', { source: 'stripe', note, transaction });
+  }
+
+  // Keyed on the payment intent, so a retried webhook doesn't refund twice
+  await stripe.refunds.create(
+    { payment_intent: order.paymentIntentId },
+    { idempotencyKey: `refund-sold-${order.paymentIntentId}` }
+  );
+  console.warn(`💸 Order ${order.orderNumber} paid after its product was sold; payment refunded`);
+
+  return transitionOrder(order, 'cancelled', {
+    source: 'stripe',
+    note: 'Payment refunded: the product was already sold',
+    transaction
+  });
+};
+
+// Cancel a pending order's payment intent at Stripe so it can no longer be
+// paid. Returns false, cancelling nothing, when the buyer is paying it right
+// now: its webhook settles the order.
+const cancelUnpaidIntent = async (paymentIntentId) => {
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  if (PAYING_INTENT_STATUSES.includes(paymentIntent.status)) {
+    return false;
+  }
+  if (paymentIntent.status !== 'canceled') {
+    await stripe.paymentIntents.cancel(paymentIntentId);
+  }
+  return true;
+};
+
+// Refund a payment that succeeded after its order was cancelled
+const refundCancelledPayment = async (order) => {
+  // Keyed on the payment intent, so a retried webhook doesn't refund twice
+  await stripe.refunds.create(
+    { payment_intent: order.paymentIntentId },
+    { idempotencyKey: `refund-cancelled-${order.paymentIntentId}` }
+  );
+  console.warn(`💸 Order ${order.orderNumber} paid after it was cancelled; payment refunded`);
+};
+
+// Cancel pending orders older than PENDING_ORDER_TTL_MINUTES together with
+// their payment intents. One the buyer is paying right now is left alone:
+// its webhook settles it. Returns the number of orders cancelled.
+const expireStaleCheckouts = async () => {
+  const stale = await Order.findAll({
+    where: {
+      status: 'pending',
+      createdAt: { [Op.lt]: new Date(Date.now() - PENDING_ORDER_TTL_MINUTES * 60 * 1000) }
+    },
+    attributes: ['id', 'orderNumber', 'paymentIntentId'],
+    order: [['createdAt', 'ASC']],
+    limit: EXPIRE_BATCH_SIZE
+  });
+
+  let expired = 0;
+  for (const { id, orderNumber, paymentIntentId } of stale) {
+    try {
+      // Cancelled at Stripe first, so it can no longer be paid
+      if (paymentIntentId && !(await cancelUnpaidIntent(paymentIntentId))) {
+        continue;
+      }
+
+      const cancelled = await sequelize.transaction(async (transaction) => {
+        const order = await Order.findByPk(id, { lock: transaction.LOCK.UPDATE, transaction });
+        if (!order || order.status !== 'pending') {
+          return false;
+        }
+        await transitionOrder(order, 'cancelled', {
+          source: 'system',
+          note: `Not paid within ${PENDING_ORDER_TTL_MINUTES} minutes`,
+          transaction
+        });
+        return true;
+      });
+      if (cancelled) {
+        expired++;
+      }
+    } catch (error) {
+      console.error(`Failed to expire order ${orderNumber}:`, error.message);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  CheckoutError,
+  openCheckout,
+  settlePayment,
+  cancelUnpaidIntent,
+  refundCancelledPayment,
+  expireStaleCheckouts
+};
@@ -0,0 +1,165 @@
+// services/email.js - Transactional email through an outbox
+//
+// queueEmail() renders a template (services/emailTemplates) in the
+// recipient's language and stores it in email_outbox, inside the caller's
+// transaction when there is one, so an email only exists if the change it
+// announces was saved. It is sent straight after the commit; failed sends
+// are retried with backoff by services/scheduler.js and marked 'failed'
+// after MAX_EMAIL_ATTEMPTS. Emails carrying a login secret (verification and
+// password reset links) are never stored: sendEmailNow() sends them directly.
+// Optional emails follow the member's email preferences. How mail leaves the
+// server (SMTP, .eml files or only the log) is up to services/mailer.js.
+const { Op } = require('sequelize');
+const { EmailOutbox } = require('../models');
+const { sendMail } = require('./mailer');
+const { TEMPLATE_CATEGORIES, resolveLocale, render } = require('./emailTemplates');
+
+// Optional email categories, all on until the member switches them off
+const EMAIL_PREFERENCE_DEFAULTS = {
+  orders: true,
+  messages: true,
+  favorites: true
+};
+
+// Templates whose links sign the recipient in or reset their password
+const SECRET_TEMPLATES = ['verification', 'password_reset'];
+
+const MAX_EMAIL_ATTEMPTS = parseInt(process.env.MAX_EMAIL_ATTEMPTS, 10) || 6;
+const MINUTE = 60 * 1000;
+const RETRY_BASE_DELAY = 2 * MINUTE; // doubled after every failed attempt
+const SEND_LEASE = 5 * MINUTE; // how long a claimed email is left to its sender
+const OUTBOX_BATCH_SIZE = 50;
+const KEEP_SENT_DAYS = 30;
+
+// A member's email preferences with the defaults filled in
+const emailPreferencesFor = (user) => ({
+  ...EMAIL_PREFERENCE_DEFAULTS,
+  ...(user.emailPreferences || {})
+});
+
+// Helper function to check whether a recipient wants this kind of email
+const wantsEmail = (recipient, template) => {
+  const category = TEMPLATE_CATEGORIES[template];
+  return !category || emailPreferencesFor(recipient)[category] !== false;
+};
+
+// Send one outbox email, unless it isn't due or another process claimed it.
+// Returns whether it was sent.
+const deliverEmail = async (email) => {
+  const now = new Date();
+  const [claimed] = await EmailOutbox.update(
+    { nextAttemptAt: new Date(now.getTime() + SEND_LEASE) },
+    { where: { id: email.id, status: 'pending', nextAttemptAt: { [Op.lte]: now } } }
+  );
+  if (!claimed) {
+    return false;
+  }
+
+  const attempts = email.attempts + 1;
+  try {
+    await sendMail({ to: email.to, subject: email.subject, text: email.text, html: email.html });
+    await EmailOutbox.update(
+      { status: 'sent', attempts, sentAt: new Date(), lastError: null },
+      { where: { id: email.id } }
+    );
+    return true;
+  } catch (error) {
+    const givingUp = attempts >= MAX_EMAIL_ATTEMPTS;
+    await EmailOutbox.update({
+      status: givingUp ? 'failed' : 'pending',
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + RETRY_BASE_DELAY * 2 ** (attempts - 1))
+    }, { where: { id: email.id } });
+
+    console.error(`📧 Email ${email.id} (${email.template}) failed on attempt ${attempts}${givingUp ? ', giving up' : ''}:`, error.message);
+    return false;
+  }
+};
+
+// Queue an email to a member (or { email, firstName, locale }) and send it
+// once the (optional) transaction commits. Returns the outbox row, or null
+// when the member switched this kind of email off.
+const queueEmail = async (recipient, template, data = {}, { transaction } = {}) => {
+  if (SECRET_TEMPLATES.includes(template)) {
+    throw new Error(`Email template "${template}" carries a secret; use sendEmailNow()`);
+  }
+  if (!wantsEmail(recipient, template)) {
+    return null;
+  }
+
+  const locale = resolveLocale(recipient.locale);
+  const { subject, text, html } = render(template, locale, { firstName: recipient.firstName, ...data });
+
+  const email = await EmailOutbox.create({
+    template,
+    locale,
+    to: recipient.email,
+    subject,
+    text,
+    html,
+    userId: recipient.id || null
+  }, { transaction });
+
+  // Whatever goes wrong here, the outbox job tries again
+  const sendNow = () => {
+    deliverEmail(email).catch((error) => {
+      console.error(`Failed to send email ${email.id}:`, error.message);
+    });
+  };
+  if (transaction) {
+    transaction.afterCommit(sendNow);
+  } else {
+    sendNow();
+  }
+
+  return email;
+};
+
+// Render and send an email straight away, without storing it. Only for
+// SECRET_TEMPLATES: a failed send is up to the caller (the member can ask
+// for a new link), there is no retry.
+const sendEmailNow = async (recipient, template, data = {}) => {
+  const { subject, text, html } = render(template, resolveLocale(recipient.locale), {
+    firstName: recipient.firstName,
+    ...data
+  });
+  await sendMail({ to: recipient.email, subject, text, html });
+};
+
+// Send the emails that are due (new ones whose first send failed and
+// retries). Run periodically by services/scheduler.js; returns the count sent.
+const processOutbox = async () => {
+  const due = await EmailOutbox.findAll({
+    where: { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } },
+    order: [['nextAttemptAt', 'ASC']],
+    limit: OUTBOX_BATCH_SIZE
+  });
+
+  let sent = 0;
+  for (const email of due) {
+    if (await deliverEmail(email)) {
+      sent++;
+    }
+  }
+  return sent;
+};
+
+// Forget sent emails after KEEP_SENT_DAYS; failed ones stay for inspection
+const pruneSentEmails = () =>
+  EmailOutbox.destroy({
+    where: {
+      status: 'sent',
+      sentAt: { [Op.lt]: new Date(Date.now() - KEEP_SENT_DAYS * 24 * 60 * MINUTE) }
+    }
+  });
+
+module.exports = {
+  EMAIL_PREFERENCE_DEFAULTS,
+  MAX_EMAIL_ATTEMPTS,
+  emailPreferencesFor,
+  queueEmail,
+  sendEmailNow,
+  processOutbox,
+  pruneSentEmails
+};
@@ -0,0 +1,119 @@
+// services/emailTemplates/en.js - English emails
+const { money } = require('./format');
+
+const price = (amount) => money('en', amount);
+
+module.exports = {
+  greeting: (firstName) => `Hi ${firstName},`,
+  signature: 'The Carnaval Craft Marketplace team',
+  preferencesNote: 'You can choose which emails you get under email preferences in your profile.',
+
+  templates: {
+    welcome: ({ siteUrl, groupName }) => ({
+      subject: 'Welcome to Carnaval Craft Marketplace',
+      lines: [
+        `Welcome to the marketplace for carnival costumes, hats and props${groupName ? `, and to the other members of ${groupName}` : ''}!`,
+        'You can sell what you no longer need, find pieces for next season and chat with other carnival lovers.'
+      ],
+      action: { label: 'Start browsing', url: siteUrl }
+    }),
+
+    verification: ({ url, ttl }) => ({
+      subject: 'Confirm your email address',
+      lines: [
+        'Please confirm your email address by opening the link below.',
+        `The link is valid for ${ttl}. If you did not create an account, you can ignore this email.`
+      ],
+      action: { label: 'Confirm my email address', url }
+    }),
+
+    password_reset: ({ url, minutes }) => ({
+      subject: 'Reset your password',
+      lines: [
+        'Someone asked to reset the password of your account. Open the link below to choose a new one.',
+        `The link can be used once and expires in ${minutes} minutes. If you did not ask for this, you can ignore this email.`
+      ],
+      action: { label: 'Reset my password', url }
+    }),
+
+    order_placed: ({ siteUrl, orderNumber, productTitle, totalAmount }) => ({
+      subject: `Order ${orderNumber} placed`,
+      lines: [
+        `Thanks for your order of "${productTitle}" (${price(totalAmount)}).`,
+        'As soon as your payment has been received we will let you and the seller know.'
+      ],
+      action: { label: 'View my orders', url: siteUrl }
+    }),
+
+    order_paid: ({ siteUrl, role, orderNumber, productTitle, totalAmount, itemPrice }) => (role === 'seller' ? {
+      subject: `You sold "${productTitle}"`,
+      lines: [
+        `Order ${orderNumber} has been paid (${price(itemPrice)}).`,
+        'Please send the item and mark the order as shipped.'
+      ],
+      action: { label: 'View the order', url: siteUrl }
+    } : {
+      subject: `Payment received for order ${orderNumber}`,
+      lines: [
+        `We received your payment of ${price(totalAmount)} for "${productTitle}".`,
+        'The seller will now send your item.'
+      ],
+      action: { label: 'View my orders', url: siteUrl }
+    }),
+
+    order_shipped: ({ siteUrl, orderNumber, productTitle }) => ({
+      subject: `Order ${orderNumber} is on its way`,
+      lines: [
+        `The seller has shipped "${productTitle}".`,
+        'Please mark the order as delivered once you have received it.'
+      ],
+      action: { label: 'View my orders', url: siteUrl }
+    }),
+
+    order_delivered: ({ siteUrl, role, orderNumber, productTitle }) => (role === 'seller' ? {
+      subject: `Order ${orderNumber} has been delivered`,
+      lines: [`The buyer has received "${productTitle}". Thanks for selling on the marketplace!`],
+      action: { label: 'View the order', url: siteUrl }
+    } : {
+      subject: `Enjoy your "${productTitle}"!`,
+      lines: [
+        `Order ${orderNumber} has been delivered.`,
+        'Let other members know how it went by reviewing the seller.'
+      ],
+      action: { label: 'Write a review', url: siteUrl }
+    }),
+
+    new_message: ({ siteUrl, senderName, productTitle, preview }) => ({
+      subject: `New message from ${senderName}`,
+      lines: [
+        productTitle ? `${senderName} sent you a message about "${productTitle}":` : `${senderName} sent you a message:`,
+        `"${preview}"`
+      ],
+      action: { label: 'Reply', url: siteUrl }
+    }),
+
+    favorite_alert: ({ siteUrl, kind, productTitle, productPrice, previousPrice }) => {
+      const cheaper = previousPrice ? ` (was ${price(previousPrice)})` : '';
+      return kind === 'back_in_stock' ? {
+        subject: `"${productTitle}" is available again`,
+        lines: [`A listing in your favorites is back on the marketplace for ${price(productPrice)}${cheaper}.`],
+        action: { label: 'Have a look before someone else does', url: siteUrl }
+      } : {
+        subject: `Price drop on "${productTitle}"`,
+        lines: [`A listing in your favorites is now ${price(productPrice)}${cheaper}.`],
+        action: { label: 'Have a look before someone else does', url: siteUrl }
+      };
+    },
+
+    saved_search_alert: ({ siteUrl, searchName, listings, total, unsubscribeUrl }) => ({
+      subject: `${total} new listing${total === 1 ? '' : 's'} for "${searchName}"`,
+      lines: [
+        `New on the marketplace for your search "${searchName}":`,
+        listings.map(listing => `${listing.title} (${price(listing.price)})`),
+        ...(total > listings.length ? [`...and ${total - listings.length} more`] : [])
+      ],
+      action: { label: 'See them on the marketplace', url: siteUrl },
+      footerLink: { label: 'No more emails for this search', url: unsubscribeUrl }
+    })
+  }
+};
@@ -0,0 +1,18 @@
+// services/emailTemplates/format.js - Formatting shared by the locale files
+
+const NUMBER_LOCALES = {
+  nl: 'nl-BE',
+  fr: 'fr-BE',
+  en: 'en-IE'
+};
+
+// Helper function to format an amount in euro the way the locale writes it
+const money = (locale, amount) =>
+  new Intl.NumberFormat(NUMBER_LOCALES[locale] || NUMBER_LOCALES.en, {
+    style: 'currency',
+    currency: 'EUR'
+  }).format(Number(amount));
+
+module.exports = {
+  money
+};
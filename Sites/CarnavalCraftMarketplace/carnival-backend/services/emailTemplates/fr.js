@@ -0,0 +1,119 @@
+// services/emailTemplates/fr.js - E-mails en français
+const { money } = require('./format');
+
+const price = (amount) => money('fr', amount);
+
+module.exports = {
+  greeting: (firstName) => `Bonjour ${firstName},`,
+  signature: "L'équipe de Carnaval Craft Marketplace",
+  preferencesNote: 'Vous choisissez les e-mails que vous recevez dans les préférences e-mail de votre profil.',
+
+  templates: {
+    welcome: ({ siteUrl, groupName }) => ({
+      subject: 'Bienvenue sur Carnaval Craft Marketplace',
+      lines: [
+        `Bienvenue sur la place de marché des costumes, chapeaux et accessoires de carnaval${groupName ? `, et parmi les membres de ${groupName}` : ''} !`,
+        "Vendez ce dont vous n'avez plus besoin, trouvez des pièces pour la prochaine saison et discutez avec d'autres passionnés de carnaval."
+      ],
+      action: { label: 'Commencer à explorer', url: siteUrl }
+    }),
+
+    verification: ({ url, ttl }) => ({
+      subject: 'Confirmez votre adresse e-mail',
+      lines: [
+        'Veuillez confirmer votre adresse e-mail en ouvrant le lien ci-dessous.',
+        `Le lien est valable ${ttl}. Si vous n'avez pas créé de compte, vous pouvez ignorer cet e-mail.`
+      ],
+      action: { label: 'Confirmer mon adresse e-mail', url }
+    }),
+
+    password_reset: ({ url, minutes }) => ({
+      subject: 'Réinitialisez votre mot de passe',
+      lines: [
+        "Quelqu'un a demandé à réinitialiser le mot de passe de votre compte. Ouvrez le lien ci-dessous pour en choisir un nouveau.",
+        `Le lien ne fonctionne qu'une fois et expire dans ${minutes} minutes. Si vous n'avez rien demandé, vous pouvez ignorer cet e-mail.`
+      ],
+      action: { label: 'Réinitialiser mon mot de passe', url }
+    }),
+
+    order_placed: ({ siteUrl, orderNumber, productTitle, totalAmount }) => ({
+      subject: `Commande ${orderNumber} passée`,
+      lines: [
+        `Merci pour votre commande de « ${productTitle} » (${price(totalAmount)}).`,
+        'Dès réception de votre paiement, nous vous préviendrons, vous et le vendeur.'
+      ],
+      action: { label: 'Voir mes commandes', url: siteUrl }
+    }),
+
+    order_paid: ({ siteUrl, role, orderNumber, productTitle, totalAmount, itemPrice }) => (role === 'seller' ? {
+      subject: `Vous avez vendu « ${productTitle} »`,
+      lines: [
+        `La commande ${orderNumber} a été payée (${price(itemPrice)}).`,
+        "Veuillez envoyer l'article et marquer la commande comme expédiée."
+      ],
+      action: { label: 'Voir la commande', url: siteUrl }
+    } : {
+      subject: `Paiement reçu pour la commande ${orderNumber}`,
+      lines: [
+        `Nous avons bien reçu votre paiement de ${price(totalAmount)} pour « ${productTitle} ».`,
+        'Le vendeur va maintenant envoyer votre article.'
+      ],
+      action: { label: 'Voir mes commandes', url: siteUrl }
+    }),
+
+    order_shipped: ({ siteUrl, orderNumber, productTitle }) => ({
+      subject: `La commande ${orderNumber} est en route`,
+      lines: [
+        `Le vendeur a expédié « ${productTitle} ».`,
+        'Veuillez marquer la commande comme livrée dès que vous l\'avez reçue.'
+      ],
+      action: { label: 'Voir mes commandes', url: siteUrl }
+    }),
+
+    order_delivered: ({ siteUrl, role, orderNumber, productTitle }) => (role === 'seller' ? {
+      subject: `La commande ${orderNumber} a été livrée`,
+      lines: [`L'acheteur a bien reçu « ${productTitle} ». Merci de vendre sur la place de marché !`],
+      action: { label: 'Voir la commande', url: siteUrl }
+    } : {
+      subject: `Profitez bien de « ${productTitle} » !`,
+      lines: [
+        `La commande ${orderNumber} a été livrée.`,
+        "Dites aux autres membres comment ça s'est passé en évaluant le vendeur."
+      ],
+      action: { label: 'Écrire un avis', url: siteUrl }
+    }),
+
+    new_message: ({ siteUrl, senderName, productTitle, preview }) => ({
+      subject: `Nouveau message de ${senderName}`,
+      lines: [
+        productTitle ? `${senderName} vous a envoyé un message à propos de « ${productTitle} » :` : `${senderName} vous a envoyé un message :`,
+        `« ${preview} »`
+      ],
+      action: { label: 'Répondre', url: siteUrl }
+    }),
+
+    favorite_alert: ({ siteUrl, kind, productTitle, productPrice, previousPrice }) => {
+      const cheaper = previousPrice ? ` (au lieu de ${price(previousPrice)})` : '';
+      return kind === 'back_in_stock' ? {
+        subject: `« ${productTitle} » est à nouveau disponible`,
+        lines: [`Une annonce de vos favoris est de retour sur la place de marché pour ${price(productPrice)}${cheaper}.`],
+        action: { label: "Jetez-y un œil avant qu'il ne soit trop tard", url: siteUrl }
+      } : {
+        subject: `Baisse de prix pour « ${productTitle} »`,
+        lines: [`Une annonce de vos favoris coûte maintenant ${price(productPrice)}${cheaper}.`],
+        action: { label: "Jetez-y un œil avant qu'il ne soit trop tard", url: siteUrl }
+      };
+    },
+
+    saved_search_alert: ({ siteUrl, searchName, listings, total, unsubscribeUrl }) => ({
+      subject: `${total} ${total === 1 ? 'nouvelle annonce' : 'nouvelles annonces'} pour « ${searchName} »`,
+      lines: [
+        `Nouveau sur la place de marché pour votre recherche « ${searchName} » :`,
+        listings.map(listing => `${listing.title} (${price(listing.price)})`),
+        ...(total > listings.length ? [`...et ${total - listings.length} de plus`] : [])
+      ],
+      action: { label: 'Les voir sur la place de marché', url: siteUrl },
+      footerLink: { label: "Ne plus recevoir d'e-mails pour cette recherche", url: unsubscribeUrl }
+    })
+  }
+};
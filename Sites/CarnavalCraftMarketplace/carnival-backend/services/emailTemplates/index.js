@@ -0,0 +1,85 @@
+// services/emailTemplates/index.js - Localized email templates
+//
+// Each locale file (nl.js, fr.js, en.js) has one function per template that
+// takes the template's data and returns its content:
+//   { subject, lines, action: { label, url }, footerLink: { label, url } }
+// where a line that is an array becomes a bulleted list. render() wraps that
+// in the greeting and signature of the locale and builds the text and HTML
+// parts; everything is escaped in the HTML, so data can come from users.
+const { escapeHtml } = require('../../utils/html');
+
+const LOCALES = {
+  nl: require('./nl'),
+  fr: require('./fr'),
+  en: require('./en')
+};
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+
+// The email preference each template falls under (see services/email.js).
+// Account emails always go out; saved search alerts have a switch and an
+// unsubscribe link per search.
+const TEMPLATE_CATEGORIES = {
+  welcome: null,
+  verification: null,
+  password_reset: null,
+  order_placed: 'orders',
+  order_paid: 'orders',
+  order_shipped: 'orders',
+  order_delivered: 'orders',
+  new_message: 'messages',
+  favorite_alert: 'favorites',
+  saved_search_alert: null
+};
+
+const siteUrl = () => process.env.FRONTEND_URL || 'http://localhost:8888';
+
+// Helper function to pick a supported locale, falling back to the default
+const resolveLocale = (locale) => (SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+// Helper function to render a line (or a list of lines) as HTML
+const htmlLine = (line) => (Array.isArray(line)
+  ? `<ul>${line.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+  : `<p>${escapeHtml(line)}</p>`);
+
+// Render a template in a locale for a recipient ({ firstName, ...data });
+// returns { subject, text, html }
+const render = (template, locale, data) => {
+  const strings = LOCALES[resolveLocale(locale)];
+  const build = strings.templates[template];
+  if (!build) {
+    throw new Error(`Unknown email template "${template}"`);
+  }
+
+  const { subject, lines, action, footerLink } = build({ siteUrl: siteUrl(), ...data });
+  const greeting = strings.greeting(data.firstName);
+  const note = TEMPLATE_CATEGORIES[template] ? strings.preferencesNote : null;
+
+  const text = [
+    greeting,
+    ...lines.map(line => (Array.isArray(line) ? line.map(item => `- ${item}`).join('\n') : line)),
+    action ? `${action.label}: ${action.url}` : null,
+    strings.signature,
+    footerLink ? `${footerLink.label}: ${footerLink.url}` : null,
+    note
+  ].filter(Boolean).join('\n\n');
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...lines.map(htmlLine),
+    action ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>` : '',
+    `<p>${escapeHtml(strings.signature)}</p>`,
+    footerLink ? `<p style="font-size: small"><a href="${escapeHtml(footerLink.url)}">${escapeHtml(footerLink.label)}</a></p>` : '',
+    note ? `<p style="font-size: small; color: #666">${escapeHtml(note)}</p>` : ''
+  ].join('');
+
+  return { subject: `${subject} - Carnaval Craft Marketplace`, text, html };
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  TEMPLATE_CATEGORIES,
+  resolveLocale,
+  render
+};
@@ -0,0 +1,119 @@
+// services/emailTemplates/nl.js - Nederlandstalige e-mails
+const { money } = require('./format');
+
+const price = (amount) => money('nl', amount);
+
+module.exports = {
+  greeting: (firstName) => `Hallo ${firstName},`,
+  signature: 'Het team van Carnaval Craft Marketplace',
+  preferencesNote: 'Je kiest zelf welke e-mails je ontvangt bij de e-mailvoorkeuren in je profiel.',
+
+  templates: {
+    welcome: ({ siteUrl, groupName }) => ({
+      subject: 'Welkom bij Carnaval Craft Marketplace',
+      lines: [
+        `Welkom op de marktplaats voor carnavalskostuums, hoeden en attributen${groupName ? `, en bij de andere leden van ${groupName}` : ''}!`,
+        'Verkoop wat je niet meer nodig hebt, vind stukken voor het volgende seizoen en babbel met andere carnavalsliefhebbers.'
+      ],
+      action: { label: 'Begin met rondkijken', url: siteUrl }
+    }),
+
+    verification: ({ url, ttl }) => ({
+      subject: 'Bevestig je e-mailadres',
+      lines: [
+        'Bevestig je e-mailadres via de link hieronder.',
+        `De link is ${ttl} geldig. Heb je geen account aangemaakt? Dan mag je deze e-mail negeren.`
+      ],
+      action: { label: 'Mijn e-mailadres bevestigen', url }
+    }),
+
+    password_reset: ({ url, minutes }) => ({
+      subject: 'Stel je wachtwoord opnieuw in',
+      lines: [
+        'Iemand heeft gevraagd om het wachtwoord van je account opnieuw in te stellen. Via de link hieronder kies je een nieuw wachtwoord.',
+        `De link werkt één keer en vervalt na ${minutes} minuten. Heb je dit niet gevraagd? Dan mag je deze e-mail negeren.`
+      ],
+      action: { label: 'Mijn wachtwoord opnieuw instellen', url }
+    }),
+
+    order_placed: ({ siteUrl, orderNumber, productTitle, totalAmount }) => ({
+      subject: `Bestelling ${orderNumber} geplaatst`,
+      lines: [
+        `Bedankt voor je bestelling van "${productTitle}" (${price(totalAmount)}).`,
+        'Zodra je betaling binnen is, laten we het jou en de verkoper weten.'
+      ],
+      action: { label: 'Mijn bestellingen bekijken', url: siteUrl }
+    }),
+
+    order_paid: ({ siteUrl, role, orderNumber, productTitle, totalAmount, itemPrice }) => (role === 'seller' ? {
+      subject: `Je hebt "${productTitle}" verkocht`,
+      lines: [
+        `Bestelling ${orderNumber} is betaald (${price(itemPrice)}).`,
+        'Verstuur het artikel en markeer de bestelling als verzonden.'
+      ],
+      action: { label: 'De bestelling bekijken', url: siteUrl }
+    } : {
+      subject: `Betaling ontvangen voor bestelling ${orderNumber}`,
+      lines: [
+        `We hebben je betaling van ${price(totalAmount)} voor "${productTitle}" ontvangen.`,
+        'De verkoper verstuurt je artikel nu.'
+      ],
+      action: { label: 'Mijn bestellingen bekijken', url: siteUrl }
+    }),
+
+    order_shipped: ({ siteUrl, orderNumber, productTitle }) => ({
+      subject: `Bestelling ${orderNumber} is onderweg`,
+      lines: [
+        `De verkoper heeft "${productTitle}" verzonden.`,
+        'Markeer de bestelling als geleverd zodra je ze hebt ontvangen.'
+      ],
+      action: { label: 'Mijn bestellingen bekijken', url: siteUrl }
+    }),
+
+    order_delivered: ({ siteUrl, role, orderNumber, productTitle }) => (role === 'seller' ? {
+      subject: `Bestelling ${orderNumber} is geleverd`,
+      lines: [`De koper heeft "${productTitle}" ontvangen. Bedankt om te verkopen op de marktplaats!`],
+      action: { label: 'De bestelling bekijken', url: siteUrl }
+    } : {
+      subject: `Veel plezier met "${productTitle}"!`,
+      lines: [
+        `Bestelling ${orderNumber} is geleverd.`,
+        'Laat andere leden weten hoe het ging met een beoordeling van de verkoper.'
+      ],
+      action: { label: 'Een beoordeling schrijven', url: siteUrl }
+    }),
+
+    new_message: ({ siteUrl, senderName, productTitle, preview }) => ({
+      subject: `Nieuw bericht van ${senderName}`,
+      lines: [
+        productTitle ? `${senderName} stuurde je een bericht over "${productTitle}":` : `${senderName} stuurde je een bericht:`,
+        `"${preview}"`
+      ],
+      action: { label: 'Antwoorden', url: siteUrl }
+    }),
+
+    favorite_alert: ({ siteUrl, kind, productTitle, productPrice, previousPrice }) => {
+      const cheaper = previousPrice ? ` (was ${price(previousPrice)})` : '';
+      return kind === 'back_in_stock' ? {
+        subject: `"${productTitle}" is opnieuw beschikbaar`,
+        lines: [`Een zoekertje uit je favorieten staat weer op de marktplaats voor ${price(productPrice)}${cheaper}.`],
+        action: { label: 'Snel even kijken', url: siteUrl }
+      } : {
+        subject: `Prijsdaling voor "${productTitle}"`,
+        lines: [`Een zoekertje uit je favorieten kost nu ${price(productPrice)}${cheaper}.`],
+        action: { label: 'Snel even kijken', url: siteUrl }
+      };
+    },
+
+    saved_search_alert: ({ siteUrl, searchName, listings, total, unsubscribeUrl }) => ({
+      subject: `${total} ${total === 1 ? 'nieuw zoekertje' : 'nieuwe zoekertjes'} voor "${searchName}"`,
+      lines: [
+        `Nieuw op de marktplaats voor je zoekopdracht "${searchName}":`,
+        listings.map(listing => `${listing.title} (${price(listing.price)})`),
+        ...(total > listings.length ? [`...en nog ${total - listings.length}`] : [])
+      ],
+      action: { label: 'Bekijk ze op de marktplaats', url: siteUrl },
+      footerLink: { label: 'Geen e-mails meer voor deze zoekopdracht', url: unsubscribeUrl }
+    })
+  }
+};
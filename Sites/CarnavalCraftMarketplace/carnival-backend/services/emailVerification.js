@@ -0,0 +1,26 @@
+// services/emailVerification.js - Verification links for new email addresses
+const { sendEmailNow } = require('./email');
+const { generatePurposeToken, verifyPurposeToken } = require('./tokens');
+
+const VERIFY_EMAIL_PURPOSE = 'verify-email';
+const VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+
+// The frontend picks the token up from the URL and posts it to /api/auth/verify-email
+const verificationUrl = (token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:8888'}/?verifyEmail=${encodeURIComponent(token)}`;
+
+// Email a signed, expiring verification link to the user
+const sendVerificationEmail = async (user) => {
+  const token = generatePurposeToken(user, VERIFY_EMAIL_PURPOSE, VERIFICATION_TTL);
+  const url = verificationUrl(token);
+
+  await sendEmailNow(user, 'verification', { url, ttl: VERIFICATION_TTL });
+};
+
+// Check a verification token and return its payload (throws if invalid or expired)
+const verifyEmailToken = (token) => verifyPurposeToken(token, VERIFY_EMAIL_PURPOSE);
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmailToken
+};
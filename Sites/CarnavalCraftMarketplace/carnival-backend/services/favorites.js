@@ -0,0 +1,150 @@
+// services/favorites.js - Favorite listings and alerts for their watchers
+//
+// Members add listings to their favorites to watch them. When the seller
+// lowers the price of an available listing, or a reserved (or sold) listing
+// is available again, everyone watching it gets an in-app notification and an
+// email. Price drops are announced at most once per
+// PRICE_DROP_ALERT_INTERVAL_HOURS, so a seller lowering the price a euro at a
+// time doesn't flood the watchers.
+// products.favoriteCount is kept alongside so listings can show it.
+const { Op } = require('sequelize');
+const { sequelize, Favorite, Product, User } = require('../models');
+const { queueEmail } = require('./email');
+const { notify } = require('./notifications');
+const { canViewListing } = require('./listingVisibility');
+
+const PRICE_DROP_ALERT_INTERVAL_HOURS = parseInt(process.env.PRICE_DROP_ALERT_INTERVAL_HOURS, 10) || 24;
+
+// Add a listing to a member's favorites; returns { favorite, created }
+const addFavorite = (user, product) =>
+  sequelize.transaction(async (transaction) => {
+    const [favorite, created] = await Favorite.findOrCreate({
+      where: { userId: user.id, productId: product.id },
+      transaction
+    });
+    if (created) {
+      await product.increment('favoriteCount', { transaction });
+    }
+    return { favorite, created };
+  });
+
+// Remove a listing from a member's favorites; returns whether it was there
+const removeFavorite = (user, productId) =>
+  sequelize.transaction(async (transaction) => {
+    const removed = await Favorite.destroy({
+      where: { userId: user.id, productId },
+      transaction
+    });
+    if (removed) {
+      await Product.decrement('favoriteCount', { where: { id: productId }, transaction });
+    }
+    return removed > 0;
+  });
+
+// Helper function to format a price for alerts
+const formatPrice = (price) => `€${Number(price).toFixed(2)}`;
+
+// Helper function to describe the change to a watcher, or null if there is none
+const describeChange = (product, { previousPrice, previousStatus }) => {
+  // Nobody can buy a reserved or sold listing, whatever its price
+  if (product.status !== 'available') {
+    return null;
+  }
+  const priceDropped = previousPrice !== undefined && Number(product.price) < Number(previousPrice);
+  const backInStock = previousStatus !== undefined && previousStatus !== 'available';
+
+  if (backInStock) {
+    return {
+      type: 'favorite.back_in_stock',
+      title: `"${product.title}" is available again`,
+      body: priceDropped
+        ? `It is back, and cheaper: now ${formatPrice(product.price)} (was ${formatPrice(previousPrice)}).`
+        : `It is back on the marketplace for ${formatPrice(product.price)}.`,
+      email: { kind: 'back_in_stock', previousPrice: priceDropped ? previousPrice : null }
+    };
+  }
+  if (priceDropped) {
+    return {
+      type: 'favorite.price_drop',
+      title: `Price drop on "${product.title}"`,
+      body: `Now ${formatPrice(product.price)} (was ${formatPrice(previousPrice)}).`,
+      email: { kind: 'price_drop', previousPrice }
+    };
+  }
+  return null;
+};
+
+// Helper function to email one watcher about a change, in their language
+// and unless they switched favorite emails off
+const sendWatcherEmail = (watcher, product, change) =>
+  queueEmail(watcher, 'favorite_alert', {
+    kind: change.email.kind,
+    productTitle: product.title,
+    productPrice: product.price,
+    previousPrice: change.email.previousPrice
+  });
+
+// Helper function to claim this period's price drop alert of a listing;
+// returns false when its watchers were told about one recently
+const claimPriceDropAlert = async (product) => {
+  const now = new Date();
+  const [claimed] = await Product.update({ priceDropAlertedAt: now }, {
+    where: {
+      id: product.id,
+      [Op.or]: [
+        { priceDropAlertedAt: null },
+        { priceDropAlertedAt: { [Op.lte]: new Date(now.getTime() - PRICE_DROP_ALERT_INTERVAL_HOURS * 60 * 60 * 1000) } }
+      ]
+    }
+  });
+  return claimed > 0;
+};
+
+// Tell the watchers of a listing that just changed (previousPrice and/or
+// previousStatus are the values before the change). Watchers who can no
+// longer see the listing are skipped; a failed email doesn't stop the others.
+// Returns the number of watchers told.
+const alertWatchers = async (product, previous) => {
+  const change = describeChange(product, previous);
+  if (!change || product.isHidden) {
+    return 0;
+  }
+  if (change.type === 'favorite.price_drop' && !(await claimPriceDropAlert(product))) {
+    return 0;
+  }
+
+  const favorites = await Favorite.findAll({
+    where: { productId: product.id, userId: { [Op.ne]: product.sellerId } },
+    include: [{
+      model: User,
+      where: { isActive: true },
+      attributes: ['id', 'email', 'firstName', 'locale', 'emailPreferences', 'role']
+    }]
+  });
+
+  let told = 0;
+  for (const { User: watcher } of favorites) {
+    if (!(await canViewListing(product, watcher))) {
+      continue;
+    }
+
+    await notify(watcher.id, { ...change, data: { productId: product.id } });
+    try {
+      await sendWatcherEmail(watcher, product, change);
+    } catch (error) {
+      console.error(`Failed to email watcher ${watcher.id}:`, error.message);
+    }
+    told++;
+  }
+
+  if (told) {
+    console.log(`💖 ${told} watchers of product ${product.id} told: ${change.type}`);
+  }
+  return told;
+};
+
+module.exports = {
+  addFavorite,
+  removeFavorite,
+  alertWatchers
+};
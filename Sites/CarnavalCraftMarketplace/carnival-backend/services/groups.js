@@ -0,0 +1,318 @@
+// services/groups.js - Carnival group requests and memberships
+//
+// Members request new groups, which stay 'pending' until a platform admin
+// reviews them; the requester becomes the group's first group admin.
+// Joining another group needs a group admin's approval. The group chosen at
+// registration is joined straight away and is the member's primary group
+// (users.carnivalGroupId), which must always be an approved membership.
+// Group admins also moderate the listings, reviews and reports of their
+// group's approved members, whichever group those members have as primary.
+const Joi = require('joi');
+const { QueryTypes } = require('sequelize');
+const { sequelize, CarnivalGroup, GroupMembership, User } = require('../models');
+const { recordAudit } = require('./auditLog');
+const { notify } = require('./notifications');
+
+// Open requests per member, so the review queue can't be flooded
+const MAX_PENDING_GROUP_REQUESTS = 3;
+
+class GroupError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'GroupError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Find a group members can join (null for unknown ids and pending or rejected groups)
+const findActiveGroup = async (id, options = {}) => {
+  if (Joi.string().uuid().validate(id).error) {
+    return null;
+  }
+  const group = await CarnivalGroup.findByPk(id, options);
+  return group && group.status === 'active' ? group : null;
+};
+
+// Helper function to find a user's membership of a group
+const findMembership = (userId, carnivalGroupId, options = {}) =>
+  GroupMembership.findOne({ where: { userId, carnivalGroupId }, ...options });
+
+// Platform admins can manage every group, group admins their own
+const isGroupAdmin = async (user, carnivalGroupId) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  const membership = await findMembership(user.id, carnivalGroupId);
+  return Boolean(membership && membership.status === 'approved' && membership.role === 'admin');
+};
+
+// Is this user a platform admin or an approved admin of at least one group?
+const isModerator = async (user) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  const adminships = await GroupMembership.count({
+    where: { userId: user.id, role: 'admin', status: 'approved' }
+  });
+  return adminships > 0;
+};
+
+// Subquery of the members a group admin moderates: the approved members of
+// the groups they are an approved admin of, themselves excluded
+const moderatedMemberIds = (user) => sequelize.literal(`(SELECT m."userId" FROM group_memberships m
+  JOIN group_memberships a ON a."carnivalGroupId" = m."carnivalGroupId"
+  WHERE a."userId" = ${sequelize.escape(user.id)} AND a.role = 'admin' AND a.status = 'approved'
+    AND m.status = 'approved' AND m."userId" <> a."userId")`);
+
+// May this user moderate the content of this member? Platform admins may
+// moderate everyone, group admins the members of their groups (not themselves)
+const canModerateMember = async (user, memberId, { transaction } = {}) => {
+  if (!user || !memberId) return false;
+  if (user.role === 'admin') return true;
+  if (user.id === memberId) return false;
+
+  const [shared] = await sequelize.query(`
+    SELECT 1 FROM group_memberships a
+    JOIN group_memberships m ON m."carnivalGroupId" = a."carnivalGroupId"
+    WHERE a."userId" = :userId AND a.role = 'admin' AND a.status = 'approved'
+      AND m."userId" = :memberId AND m.status = 'approved'
+    LIMIT 1`, {
+    replacements: { userId: user.id, memberId },
+    type: QueryTypes.SELECT,
+    transaction
+  });
+  return Boolean(shared);
+};
+
+// Helper function to count the approved admins of a group
+const countGroupAdmins = (carnivalGroupId, transaction) =>
+  GroupMembership.count({
+    where: { carnivalGroupId, role: 'admin', status: 'approved' },
+    transaction
+  });
+
+// Request a new group; it becomes visible once an admin approves it
+const requestGroup = (user, { name, city, province, country, description, website }, { req } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    const pending = await CarnivalGroup.count({
+      where: { requestedById: user.id, status: 'pending' },
+      transaction
+    });
+    if (pending >= MAX_PENDING_GROUP_REQUESTS) {
+      throw new GroupError(`You already have ${pending} group requests waiting for review`, 429);
+    }
+
+    const group = await CarnivalGroup.create({
+      name,
+      city,
+      province: province || null,
+      country: country || 'Belgium',
+      description: description || null,
+      website: website || null,
+      status: 'pending',
+      requestedById: user.id
+    }, { transaction });
+
+    await GroupMembership.create({
+      userId: user.id,
+      carnivalGroupId: group.id,
+      role: 'admin',
+      status: 'approved',
+      decidedAt: new Date()
+    }, { transaction });
+
+    await recordAudit({
+      actor: user,
+      action: 'group.request',
+      targetType: 'carnival_group',
+      targetId: group.id,
+      details: { name, city },
+      req
+    }, { transaction });
+
+    return group;
+  });
+
+// Approve ('active') or reject a requested group and tell the requester
+const reviewGroupRequest = (group, { status, note }, { actor, req } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    if (group.status !== 'pending') {
+      throw new GroupError('This group request has already been reviewed', 409);
+    }
+
+    await group.update({
+      status,
+      reviewNote: note || null,
+      reviewedAt: new Date()
+    }, { transaction });
+
+    await recordAudit({
+      actor,
+      action: status === 'active' ? 'group.approve' : 'group.reject',
+      targetType: 'carnival_group',
+      targetId: group.id,
+      reason: note,
+      details: { from: { status: 'pending' }, to: { status } },
+      req
+    }, { transaction });
+
+    if (group.requestedById) {
+      await notify(group.requestedById, status === 'active' ? {
+        type: 'group.approved',
+        title: `${group.name} is now on the marketplace`,
+        body: 'You are its group admin and can approve members who want to join.',
+        data: { carnivalGroupId: group.id }
+      } : {
+        type: 'group.rejected',
+        title: `Your request for ${group.name} was not approved`,
+        body: note || null,
+        data: { carnivalGroupId: group.id }
+      }, { transaction });
+    }
+
+    return group;
+  });
+
+// Ask to join a group; its group admins are notified
+const requestMembership = (user, group, { message } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    let membership = await findMembership(user.id, group.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (membership && membership.status === 'approved') {
+      throw new GroupError('You are already a member of this group', 409);
+    }
+    if (membership && membership.status === 'pending') {
+      throw new GroupError('Your request to join is waiting for a group admin', 409);
+    }
+
+    // A rejected member may ask again
+    const request = { status: 'pending', role: 'member', message: message || null, decidedAt: null, decidedById: null };
+    if (membership) {
+      await membership.update(request, { transaction });
+    } else {
+      membership = await GroupMembership.create({
+        ...request,
+        userId: user.id,
+        carnivalGroupId: group.id
+      }, { transaction });
+    }
+
+    const admins = await GroupMembership.findAll({
+      where: { carnivalGroupId: group.id, role: 'admin', status: 'approved' },
+      attributes: ['userId'],
+      transaction
+    });
+    for (const admin of admins) {
+      await notify(admin.userId, {
+        type: 'group.join_request',
+        title: `${user.firstName} ${user.lastName} wants to join ${group.name}`,
+        body: message || null,
+        data: { carnivalGroupId: group.id, membershipId: membership.id }
+      }, { transaction });
+    }
+
+    return membership;
+  });
+
+// Approve or reject a pending membership and tell the member
+const decideMembership = (membership, { status }, { actor, req } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    if (membership.status !== 'pending') {
+      throw new GroupError('This request has already been decided', 409);
+    }
+
+    await membership.update({
+      status,
+      decidedAt: new Date(),
+      decidedById: actor.id
+    }, { transaction });
+
+    await recordAudit({
+      actor,
+      action: status === 'approved' ? 'membership.approve' : 'membership.reject',
+      targetType: 'group_membership',
+      targetId: membership.id,
+      details: { userId: membership.userId, carnivalGroupId: membership.carnivalGroupId },
+      req
+    }, { transaction });
+
+    const group = await CarnivalGroup.findByPk(membership.carnivalGroupId, { attributes: ['id', 'name'], transaction });
+    await notify(membership.userId, {
+      type: status === 'approved' ? 'group.join_approved' : 'group.join_rejected',
+      title: status === 'approved'
+        ? `Welcome to ${group.name}!`
+        : `Your request to join ${group.name} was not approved`,
+      data: { carnivalGroupId: group.id }
+    }, { transaction });
+
+    return membership;
+  });
+
+// Make an approved member a group admin or back to a regular member
+const setMembershipRole = (membership, { role }, { actor, req } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    if (membership.status !== 'approved') {
+      throw new GroupError('Only approved members can be given a role');
+    }
+    if (membership.role === 'admin' && role !== 'admin' &&
+        await countGroupAdmins(membership.carnivalGroupId, transaction) <= 1) {
+      throw new GroupError('A group needs at least one group admin');
+    }
+
+    const from = { role: membership.role };
+    await membership.update({ role }, { transaction });
+
+    await recordAudit({
+      actor,
+      action: 'membership.role',
+      targetType: 'group_membership',
+      targetId: membership.id,
+      details: { from, to: { role } },
+      req
+    }, { transaction });
+
+    return membership;
+  });
+
+// Leave a group (or withdraw a pending request)
+const leaveGroup = (user, carnivalGroupId) =>
+  sequelize.transaction(async (transaction) => {
+    const membership = await findMembership(user.id, carnivalGroupId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!membership) {
+      throw new GroupError('You are not a member of this group', 404);
+    }
+    if (user.carnivalGroupId === carnivalGroupId) {
+      throw new GroupError('This is your primary group; choose another primary group before leaving');
+    }
+    if (membership.role === 'admin' && membership.status === 'approved' &&
+        await countGroupAdmins(carnivalGroupId, transaction) <= 1) {
+      throw new GroupError('You are the only group admin; make another member group admin first');
+    }
+
+    await membership.destroy({ transaction });
+  });
+
+// Give every user an approved membership of their primary group (users who
+// registered before memberships existed). Runs at startup; safe to repeat.
+const backfillPrimaryMemberships = () =>
+  sequelize.query(`
+    INSERT INTO group_memberships (id, "userId", "carnivalGroupId", role, status, "decidedAt", "createdAt", "updatedAt")
+    SELECT gen_random_uuid(), u.id, u."carnivalGroupId", 'member', 'approved', NOW(), NOW(), NOW()
+    FROM users u
+    ON CONFLICT ("userId", "carnivalGroupId") DO NOTHING`);
+
+module.exports = {
+  MAX_PENDING_GROUP_REQUESTS,
+  GroupError,
+  findActiveGroup,
+  findMembership,
+  isGroupAdmin,
+  isModerator,
+  moderatedMemberIds,
+  canModerateMember,
+  requestGroup,
+  reviewGroupRequest,
+  requestMembership,
+  decideMembership,
+  setMembershipRole,
+  leaveGroup,
+  backfillPrimaryMemberships
+};
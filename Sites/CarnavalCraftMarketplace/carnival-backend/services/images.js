@@ -0,0 +1,138 @@
+// services/images.js - Processing and storage of uploaded product images
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { ProductImage } = require('../models');
+
+// Served by express.static under /uploads (see server.js)
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const PRODUCT_IMAGE_DIR = path.join(UPLOAD_DIR, 'products');
+
+// Variants produced for every upload. Nothing of the original file is kept:
+// phone photos carry EXIF data (GPS position, camera serial) that sharp drops
+// unless explicitly asked to keep it.
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  card: { width: 600, height: 450, fit: 'cover' },
+  full: { width: 1600, height: 1600, fit: 'inside' }
+};
+
+const FORMATS = {
+  webp: (pipeline) => pipeline.webp({ quality: 80 }),
+  jpeg: (pipeline) => pipeline.jpeg({ quality: 82, mozjpeg: true })
+};
+
+class ImageProcessingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageProcessingError';
+    this.statusCode = 400;
+  }
+}
+
+// Helper function to list every file written for an image
+const variantFilenames = (image) => {
+  if (!image.variants) {
+    return [image.filename];
+  }
+  return Object.values(image.variants).flatMap(variant =>
+    Object.keys(FORMATS).map(format => path.basename(variant[format]))
+  );
+};
+
+// Resize a validated upload into every variant/format, write them to disk and
+// return the ProductImage attributes (the full-size JPEG is the canonical file)
+const storeImageFile = async (file) => {
+  await fs.mkdir(PRODUCT_IMAGE_DIR, { recursive: true });
+
+  let source;
+  try {
+    // rotate() applies the EXIF orientation before the metadata is stripped
+    source = sharp(file.buffer, { failOn: 'error' }).rotate();
+    await source.metadata();
+  } catch (error) {
+    throw new ImageProcessingError(`${file.originalname} could not be read as an image`);
+  }
+
+  // Never trust the client's file name on disk
+  const base = uuidv4();
+  const variants = {};
+  const written = [];
+
+  try {
+    for (const [name, resize] of Object.entries(IMAGE_VARIANTS)) {
+      variants[name] = {};
+      for (const [format, encode] of Object.entries(FORMATS)) {
+        const filename = `${base}-${name}.${format === 'jpeg' ? 'jpg' : format}`;
+        const info = await encode(source.clone().resize({ ...resize, withoutEnlargement: true }))
+          .toFile(path.join(PRODUCT_IMAGE_DIR, filename));
+
+        written.push(filename);
+        variants[name][format] = `/uploads/products/${filename}`;
+        variants[name].width = info.width;
+        variants[name].height = info.height;
+        if (name === 'full' && format === 'jpeg') {
+          variants[name].size = info.size;
+        }
+      }
+    }
+  } catch (error) {
+    await Promise.all(written.map(filename => fs.unlink(path.join(PRODUCT_IMAGE_DIR, filename)).catch(() => {})));
+    throw new ImageProcessingError(`${file.originalname} could not be processed: ${error.message}`);
+  }
+
+  return {
+    filename: path.basename(variants.full.jpeg),
+    originalName: file.originalname,
+    mimeType: 'image/jpeg',
+    size: variants.full.size,
+    url: variants.full.jpeg,
+    variants
+  };
+};
+
+// Remove the files behind a ProductImage (missing files are ignored)
+const removeImageFiles = async (image) => {
+  await Promise.all(variantFilenames(image).map(filename =>
+    fs.unlink(path.join(PRODUCT_IMAGE_DIR, filename)).catch(() => {})
+  ));
+};
+
+// Write several uploads to disk; nothing is left behind if one of them fails
+const storeImageFiles = async (files) => {
+  const stored = [];
+  try {
+    for (const file of files) {
+      stored.push(await storeImageFile(file));
+    }
+    return stored;
+  } catch (error) {
+    await Promise.all(stored.map(removeImageFiles));
+    throw error;
+  }
+};
+
+// Create the ProductImage rows for files written by storeImageFiles
+const createProductImages = async (stored, productId, { primaryIndex = 0, startOrder = 0, transaction } = {}) => {
+  const images = [];
+  for (const [index, attributes] of stored.entries()) {
+    images.push(await ProductImage.create({
+      ...attributes,
+      productId,
+      isPrimary: index === primaryIndex,
+      sortOrder: startOrder + index
+    }, { transaction }));
+  }
+  return images;
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  IMAGE_VARIANTS,
+  ImageProcessingError,
+  storeImageFile,
+  storeImageFiles,
+  removeImageFiles,
+  createProductImages
+};
@@ -0,0 +1,151 @@
+// services/listingVisibility.js - Public, group-only and unlisted listings
+//
+// Groups often pass uniforms and float pieces among themselves before
+// offering them to everyone:
+// - public: in search, storefronts and for everyone with the link
+// - group: only for approved members of visibilityGroupId (and admins),
+//   optionally promoted to public at promoteToPublicAt
+// - unlisted: never in search or storefronts, but anyone with the link sees it
+const { Op } = require('sequelize');
+const { sequelize, Product } = require('../models');
+const { findMembership, canModerateMember } = require('./groups');
+const { notify } = require('./notifications');
+
+const VISIBILITIES = ['public', 'group', 'unlisted'];
+const MAX_PROMOTE_AFTER_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class VisibilityError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'VisibilityError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Turn the seller's choice into the Product fields. A group-only listing is
+// shared with visibilityGroupId (the seller's primary group by default),
+// which must be a group the seller is an approved member of.
+const resolveVisibility = async (seller, { visibility, visibilityGroupId, promoteAfterDays }) => {
+  const chosen = visibility || 'public';
+  if (!VISIBILITIES.includes(chosen)) {
+    throw new VisibilityError('Visibility must be one of public, group or unlisted');
+  }
+
+  if (chosen !== 'group') {
+    if (promoteAfterDays) {
+      throw new VisibilityError('Only group-only listings can be made public later');
+    }
+    return { visibility: chosen, visibilityGroupId: null, promoteToPublicAt: null };
+  }
+
+  const groupId = visibilityGroupId || seller.carnivalGroupId;
+  const membership = await findMembership(seller.id, groupId);
+  if (!membership || membership.status !== 'approved') {
+    throw new VisibilityError('You can only share listings with a group you are a member of');
+  }
+
+  let promoteToPublicAt = null;
+  if (promoteAfterDays !== undefined && promoteAfterDays !== null && promoteAfterDays !== '') {
+    const days = Number(promoteAfterDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_PROMOTE_AFTER_DAYS) {
+      throw new VisibilityError(`promoteAfterDays must be a whole number from 1 to ${MAX_PROMOTE_AFTER_DAYS}`);
+    }
+    promoteToPublicAt = new Date(Date.now() + days * DAY_MS);
+  }
+
+  return { visibility: 'group', visibilityGroupId: groupId, promoteToPublicAt };
+};
+
+// Where clause for the listings a viewer may find in search and storefronts
+const listedForViewer = (viewer) => {
+  if (!viewer) {
+    return { visibility: 'public' };
+  }
+  return {
+    [Op.or]: [
+      { visibility: 'public' },
+      {
+        visibility: 'group',
+        visibilityGroupId: {
+          [Op.in]: sequelize.literal(`(SELECT m."carnivalGroupId" FROM group_memberships m
+            WHERE m."userId" = ${sequelize.escape(viewer.id)} AND m.status = 'approved')`)
+        }
+      }
+    ]
+  };
+};
+
+// May this user (null when signed out) open the listing? Hidden listings are
+// for the seller and moderators only, group-only ones for the group's members.
+const canViewListing = async (product, user) => {
+  const isSeller = Boolean(user) && product.sellerId === user.id;
+
+  if (product.isHidden) {
+    return isSeller || canModerateMember(user, product.sellerId);
+  }
+
+  if (product.visibility !== 'group') {
+    return true;
+  }
+  if (!user) {
+    return false;
+  }
+  if (isSeller || user.role === 'admin') {
+    return true;
+  }
+  const membership = await findMembership(user.id, product.visibilityGroupId);
+  return Boolean(membership && membership.status === 'approved');
+};
+
+// Make group-only listings whose time has come public, and tell their
+// sellers. Each listing is claimed with a conditional update, so a seller's
+// edit in the meantime or a second scheduler run doesn't promote it (or notify)
+// twice. Run periodically by services/scheduler.js; returns the count.
+const promoteDueListings = async () => {
+  const now = new Date();
+  const due = await Product.findAll({
+    where: { visibility: 'group', promoteToPublicAt: { [Op.lte]: now } },
+    attributes: ['id', 'title', 'sellerId']
+  });
+
+  let promoted = 0;
+  for (const product of due) {
+    const changed = await sequelize.transaction(async (transaction) => {
+      const [updated] = await Product.update({
+        visibility: 'public',
+        visibilityGroupId: null,
+        promoteToPublicAt: null
+      }, {
+        where: { id: product.id, visibility: 'group', promoteToPublicAt: { [Op.lte]: now } },
+        transaction
+      });
+      if (!updated) {
+        return false;
+      }
+
+      await notify(product.sellerId, {
+        type: 'product.promoted',
+        title: `"${product.title}" is now visible to everyone`,
+        body: 'Your group-only listing has been made public as you asked.',
+        data: { productId: product.id }
+      }, { transaction });
+      return true;
+    });
+    if (changed) {
+      promoted++;
+    }
+  }
+
+  return promoted;
+};
+
+module.exports = {
+  VISIBILITIES,
+  MAX_PROMOTE_AFTER_DAYS,
+  VisibilityError,
+  resolveVisibility,
+  listedForViewer,
+  canViewListing,
+  promoteDueListings
+};
@@ -0,0 +1,83 @@
+// services/loginProtection.js - Brute-force protection for /api/auth/login
+//
+// Failed logins are counted per account (email) and per IP address, in the
+// same store as the rate limiters so every API instance sees them:
+// - from LOGIN_DELAY_AFTER failures on, each further attempt on the account
+//   has to wait twice as long as the previous one (1s, 2s, 4s ... up to a minute)
+// - LOGIN_ACCOUNT_LOCK_AFTER failures lock the account for the rest of the window
+// - LOGIN_IP_LOCK_AFTER failures from one IP (across accounts) lock that IP
+// Accounts are tracked by email whether they exist or not, so the responses
+// don't reveal which addresses are registered.
+const { createStore } = require('./rateLimitStore');
+
+const LOGIN_WINDOW_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15) * 60 * 1000;
+const DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER, 10) || 3;
+const ACCOUNT_LOCK_AFTER = parseInt(process.env.LOGIN_ACCOUNT_LOCK_AFTER, 10) || 10;
+const IP_LOCK_AFTER = parseInt(process.env.LOGIN_IP_LOCK_AFTER, 10) || 50;
+const MAX_DELAY_SECONDS = 60;
+
+const accountStore = createStore('login:account:', LOGIN_WINDOW_MS);
+const ipStore = createStore('login:ip:', LOGIN_WINDOW_MS);
+
+// Helper function to normalize the email used as counter key
+const accountKey = (email) => String(email).trim().toLowerCase();
+
+// Helper function to count whole seconds until a date (at least 1)
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Check whether a login attempt may go ahead. Returns null if it may, or
+// { error, retryAfter } (seconds) if it has to wait.
+const checkLoginAllowed = async (email, ip) => {
+  const [account, address] = await Promise.all([
+    accountStore.get(accountKey(email)),
+    ipStore.get(ip)
+  ]);
+
+  if (address && address.totalHits >= IP_LOCK_AFTER) {
+    return {
+      error: 'Too many failed login attempts from this network. Please try again later.',
+      retryAfter: secondsUntil(address.resetTime)
+    };
+  }
+
+  if (!account) {
+    return null;
+  }
+
+  if (account.totalHits >= ACCOUNT_LOCK_AFTER) {
+    const retryAfter = secondsUntil(account.resetTime);
+    return {
+      error: `Too many failed login attempts. This account is locked for ${Math.ceil(retryAfter / 60)} minutes.`,
+      retryAfter
+    };
+  }
+
+  if (account.totalHits >= DELAY_AFTER && account.lastHitAt) {
+    const delaySeconds = Math.min(2 ** (account.totalHits - DELAY_AFTER), MAX_DELAY_SECONDS);
+    const allowedAt = new Date(account.lastHitAt.getTime() + delaySeconds * 1000);
+    if (allowedAt > new Date()) {
+      const retryAfter = secondsUntil(allowedAt);
+      return {
+        error: `Too many failed login attempts. Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} before trying again.`,
+        retryAfter
+      };
+    }
+  }
+
+  return null;
+};
+
+const recordLoginFailure = (email, ip) =>
+  Promise.all([
+    accountStore.increment(accountKey(email)),
+    ipStore.increment(ip)
+  ]);
+
+// A successful login clears the account's failures (not the IP's)
+const recordLoginSuccess = (email) => accountStore.resetKey(accountKey(email));
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+};
@@ -0,0 +1,63 @@
+// services/mailer.js - Outgoing email
+//
+// EMAIL_TRANSPORT picks how mail leaves the server:
+//   smtp - EMAIL_HOST/EMAIL_PORT (a local catcher such as MailHog on port 1025 works)
+//   file - every message is written as an .eml file to EMAIL_DIR
+//   json - the message is only logged (the default when EMAIL_HOST is not set)
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : 'json');
+const EMAIL_DIR = process.env.EMAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+const EMAIL_FROM = process.env.EMAIL_FROM || 'noreply@carnivalcraft.com';
+
+// Helper function to build the nodemailer transport for EMAIL_TRANSPORT
+const createTransport = () => {
+  switch (EMAIL_TRANSPORT) {
+    case 'smtp': {
+      const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+      return nodemailer.createTransport({
+        host: process.env.EMAIL_HOST || 'localhost',
+        port,
+        secure: process.env.EMAIL_SECURE ? process.env.EMAIL_SECURE === 'true' : port === 465,
+        auth: process.env.EMAIL_USER
+          ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+          : undefined
+      });
+    }
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${EMAIL_TRANSPORT}" (use smtp, file or json)`);
+  }
+};
+
+let transport;
+
+// Send one email ({ to, subject, text, html }) and return nodemailer's info
+const sendMail = async (message) => {
+  transport = transport || createTransport();
+  const info = await transport.sendMail({ from: EMAIL_FROM, ...message });
+
+  if (EMAIL_TRANSPORT === 'file') {
+    await fs.mkdir(EMAIL_DIR, { recursive: true });
+    const filename = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+    await fs.writeFile(path.join(EMAIL_DIR, filename), info.message);
+    console.log(`📧 Email to ${message.to} written to ${filename}`);
+  } else if (EMAIL_TRANSPORT === 'json') {
+    console.log('📧 Email (not sent):', info.message);
+  } else {
+    console.log(`📧 Email sent to ${message.to}: ${message.subject}`);
+  }
+
+  return info;
+};
+
+module.exports = {
+  EMAIL_TRANSPORT,
+  EMAIL_DIR,
+  sendMail
+};
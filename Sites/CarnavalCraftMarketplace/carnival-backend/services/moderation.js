@@ -0,0 +1,124 @@
+// services/moderation.js - Hiding listings and reviews, suspending accounts
+const { sequelize } = require('../models');
+const { recordAudit } = require('./auditLog');
+const { notify } = require('./notifications');
+const { refreshSellerRating } = require('./reviews');
+const { revokeAllSessions } = require('./sessions');
+
+// Helper function to join the caller's transaction or start one
+const withTransaction = (transaction, work) =>
+  transaction ? work(transaction) : sequelize.transaction(work);
+
+// Hide a listing (with a reason) or restore it, record who did it (no actor
+// when hidden automatically) and tell the seller
+const setProductVisibility = (product, { isHidden, reason }, { actor, req, transaction: outer } = {}) =>
+  withTransaction(outer, async (transaction) => {
+    const from = { isHidden: product.isHidden, hiddenReason: product.hiddenReason };
+
+    await product.update(isHidden ? {
+      isHidden: true,
+      hiddenReason: reason,
+      hiddenAt: new Date(),
+      hiddenById: actor ? actor.id : null
+    } : {
+      isHidden: false,
+      hiddenReason: null,
+      hiddenAt: null,
+      hiddenById: null
+    }, { transaction });
+
+    await recordAudit({
+      actor,
+      action: isHidden ? 'product.hide' : 'product.restore',
+      targetType: 'product',
+      targetId: product.id,
+      reason,
+      details: { from, to: { isHidden, hiddenReason: product.hiddenReason } },
+      req
+    }, { transaction });
+
+    await notify(product.sellerId, isHidden ? {
+      type: 'product.hidden',
+      title: `Your listing "${product.title}" has been hidden`,
+      body: reason,
+      data: { productId: product.id }
+    } : {
+      type: 'product.restored',
+      title: `Your listing "${product.title}" is visible again`,
+      data: { productId: product.id }
+    }, { transaction });
+
+    return product;
+  });
+
+// Hide a review (with a reason) or restore it and update the seller's
+// rating, which only counts visible reviews; the reviewer is told
+const setReviewVisibility = (review, { isHidden, reason }, { actor, req, transaction: outer } = {}) =>
+  withTransaction(outer, async (transaction) => {
+    const from = { isHidden: review.isHidden, hiddenReason: review.hiddenReason };
+
+    await review.update(isHidden ? {
+      isHidden: true,
+      hiddenReason: reason,
+      hiddenAt: new Date(),
+      hiddenById: actor ? actor.id : null
+    } : {
+      isHidden: false,
+      hiddenReason: null,
+      hiddenAt: null,
+      hiddenById: null
+    }, { transaction });
+    await refreshSellerRating(review.sellerId, { transaction });
+
+    await recordAudit({
+      actor,
+      action: isHidden ? 'review.hide' : 'review.restore',
+      targetType: 'review',
+      targetId: review.id,
+      reason,
+      details: { from, to: { isHidden, hiddenReason: review.hiddenReason } },
+      req
+    }, { transaction });
+
+    await notify(review.reviewerId, isHidden ? {
+      type: 'review.hidden',
+      title: 'Your review has been hidden',
+      body: reason,
+      data: { reviewId: review.id }
+    } : {
+      type: 'review.restored',
+      title: 'Your review is visible again',
+      data: { reviewId: review.id }
+    }, { transaction });
+
+    return review;
+  });
+
+// Suspend an account (signing it out everywhere) or reactivate it
+const setUserActive = (user, { isActive, reason }, { actor, req } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    const wasActive = user.isActive;
+
+    await user.update({ isActive }, { transaction });
+    if (!isActive) {
+      await revokeAllSessions(user, { transaction });
+    }
+
+    await recordAudit({
+      actor,
+      action: isActive ? 'user.reactivate' : 'user.suspend',
+      targetType: 'user',
+      targetId: user.id,
+      reason,
+      details: { from: { isActive: wasActive }, to: { isActive } },
+      req
+    }, { transaction });
+
+    return user;
+  });
+
+module.exports = {
+  setProductVisibility,
+  setReviewVisibility,
+  setUserActive
+};
@@ -0,0 +1,22 @@
+// services/notifications.js - In-app notifications
+const { Notification } = require('../models');
+const { publishAfterCommit } = require('./realtime');
+
+// Store a notification for a user and push it to their open connections
+// once the (optional) transaction commits
+const notify = async (userId, { type, title, body, data }, { transaction } = {}) => {
+  const notification = await Notification.create({
+    userId,
+    type,
+    title,
+    body: body || null,
+    data: data || null
+  }, { transaction });
+
+  publishAfterCommit(transaction, userId, 'notification:new', notification);
+  return notification;
+};
+
+module.exports = {
+  notify
+};
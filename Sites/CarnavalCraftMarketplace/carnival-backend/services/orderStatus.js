@@ -0,0 +1,196 @@
+// services/orderStatus.js - Order lifecycle state machine
+const { OrderStatusHistory, Product, User } = require('../models');
+const { publishAfterCommit } = require('./realtime');
+const { queueEmail } = require('./email');
+const { alertWatchers } = require('./favorites');
+
+// Orders that still need the listing as it is
+const OPEN_ORDER_STATUSES = ['pending', 'paid', 'shipped'];
+
+// Orders that took the listing off the market
+const SOLD_ORDER_STATUSES = ['paid', 'shipped', 'delivered'];
+
+// Legal transitions: pending → paid → shipped → delivered, plus cancelled/refunded
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// Transitions a user may request through the API, and who may request them.
+// 'paid' and 'refunded' only ever come from Stripe.
+const USER_TRANSITIONS = {
+  shipped: ['seller'],
+  delivered: ['buyer'],
+  cancelled: ['buyer', 'seller']
+};
+
+// Emails to each party when an order reaches a status
+const ORDER_EMAILS = {
+  pending: { buyer: 'order_placed' },
+  paid: { buyer: 'order_paid', seller: 'order_paid' },
+  shipped: { buyer: 'order_shipped' },
+  delivered: { buyer: 'order_delivered', seller: 'order_delivered' }
+};
+
+class OrderTransitionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const canTransition = (fromStatus, toStatus) =>
+  (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Helper function to check a user-requested transition before applying it
+const assertUserTransition = (order, userId, toStatus) => {
+  const allowedRoles = USER_TRANSITIONS[toStatus];
+  if (!allowedRoles) {
+    throw new OrderTransitionError(`Orders cannot be marked ${toStatus} manually`);
+  }
+
+  const roles = [];
+  if (order.buyerId === userId) roles.push('buyer');
+  if (order.sellerId === userId) roles.push('seller');
+
+  if (!roles.some(role => allowedRoles.includes(role))) {
+    throw new OrderTransitionError(`Only the ${allowedRoles.join(' or ')} can mark this order ${toStatus}`, 403);
+  }
+
+  if (!canTransition(order.status, toStatus)) {
+    throw new OrderTransitionError(`Cannot change order from ${order.status} to ${toStatus}`);
+  }
+};
+
+// Helper function to queue the emails for the status an order just reached;
+// they go out once the transaction commits
+const queueOrderEmails = async (order, { transaction } = {}) => {
+  const templates = ORDER_EMAILS[order.status];
+  if (!templates) {
+    return;
+  }
+
+  const attributes = ['id', 'email', 'firstName', 'locale', 'emailPreferences'];
+  const parties = {
+    buyer: await User.findByPk(order.buyerId, { attributes, transaction }),
+    seller: await User.findByPk(order.sellerId, { attributes, transaction })
+  };
+  const product = await Product.findByPk(order.productId, {
+    attributes: ['id', 'title'],
+    paranoid: false,
+    transaction
+  });
+
+  for (const [role, template] of Object.entries(templates)) {
+    if (!parties[role]) {
+      continue;
+    }
+
+    await queueEmail(parties[role], template, {
+      role,
+      orderNumber: order.orderNumber,
+      productTitle: product ? product.title : '',
+      totalAmount: order.totalAmount,
+      itemPrice: order.itemPrice
+    }, { transaction });
+  }
+};
+
+// Helper function to put the listing of a cancelled or refunded order back
+// on the market; its watchers hear about it once the transaction commits
+const releaseProduct = async (order, { transaction } = {}) => {
+  const product = await Product.findByPk(order.productId, { transaction });
+  if (!product || product.status !== 'sold') {
+    return;
+  }
+
+  await product.update({ isAvailable: true, status: 'available' }, { transaction });
+
+  const alert = () => {
+    alertWatchers(product, { previousStatus: 'sold' }).catch((error) => {
+      console.error('Failed to alert watchers:', error.message);
+    });
+  };
+  if (transaction) {
+    transaction.afterCommit(alert);
+  } else {
+    alert();
+  }
+};
+
+// Move an order to a new status and record the change in its history
+const transitionOrder = async (order, toStatus, { changedById = null, source = 'user', note = null, transaction } = {}) => {
+  const fromStatus = order.status;
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new OrderTransitionError(`Cannot change order from ${fromStatus} to ${toStatus}`);
+  }
+
+  await order.update({ status: toStatus }, { transaction });
+
+  await OrderStatusHistory.create({
+    orderId: order.id,
+    fromStatus,
+    toStatus,
+    source,
+    note,
+    changedById
+  }, { transaction });
+
+  // A paid item is off the market
+  if (toStatus === 'paid') {
+    await Product.update(
+      { isAvailable: false, status: 'sold' },
+      { where: { id: order.productId }, transaction }
+    );
+  }
+
+  // ...and back on it when that sale is undone
+  if (SOLD_ORDER_STATUSES.includes(fromStatus) && ['cancelled', 'refunded'].includes(toStatus)) {
+    await releaseProduct(order, { transaction });
+  }
+
+  // Let both parties know live
+  publishAfterCommit(transaction, [order.buyerId, order.sellerId], 'order:status', {
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    fromStatus,
+    status: toStatus
+  });
+
+  await queueOrderEmails(order, { transaction });
+
+  return order;
+};
+
+// Record the initial 'pending' entry of a freshly created order and
+// confirm it to the buyer
+const recordOrderCreated = async (order, { changedById = null, transaction } = {}) => {
+  const entry = await OrderStatusHistory.create({
+    orderId: order.id,
+    fromStatus: null,
+    toStatus: order.status,
+    source: 'user',
+    changedById
+  }, { transaction });
+
+  await queueOrderEmails(order, { transaction });
+
+  return entry;
+};
+
+module.exports = {
+  OPEN_ORDER_STATUSES,
+  SOLD_ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  USER_TRANSITIONS,
+  OrderTransitionError,
+  canTransition,
+  assertUserTransition,
+  transitionOrder,
+  recordOrderCreated
+};
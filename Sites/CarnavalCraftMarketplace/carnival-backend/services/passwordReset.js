@@ -0,0 +1,79 @@
+// services/passwordReset.js - Account recovery with emailed one-time tokens
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const { sequelize, User } = require('../models');
+const { sendEmailNow } = require('./email');
+const { revokeAllSessions } = require('./sessions');
+
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+class PasswordResetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PasswordResetError';
+    this.statusCode = 400;
+  }
+}
+
+// Helper function to hash a reset token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const resetUrl = (token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:8888'}/?resetPassword=${encodeURIComponent(token)}`;
+
+// Issue a reset token for the account with this email, if there is one.
+// Resolves the same way either way so callers can't tell the difference.
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ where: { email, isActive: true } });
+  if (!user) {
+    return;
+  }
+
+  // A new request replaces any earlier token
+  const token = crypto.randomBytes(32).toString('hex');
+  await user.update({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpiresAt: new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000)
+  });
+
+  const url = resetUrl(token);
+
+  // Not awaited: the response time must not reveal whether a mail went out
+  sendEmailNow(user, 'password_reset', { url, minutes: RESET_TTL_MINUTES }).catch((error) => {
+    console.error('Failed to send password reset email:', error.message);
+  });
+};
+
+// Set a new password with a reset token; the token is used up and every
+// existing session is signed out
+const resetPassword = (token, newPassword) =>
+  sequelize.transaction(async (transaction) => {
+    const user = await User.findOne({
+      where: {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpiresAt: { [Op.gt]: new Date() },
+        isActive: true
+      },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!user) {
+      throw new PasswordResetError('This reset link is invalid or has expired');
+    }
+
+    await user.update({
+      password: await bcrypt.hash(newPassword, 12),
+      passwordResetTokenHash: null,
+      passwordResetExpiresAt: null
+    }, { transaction });
+    await revokeAllSessions(user, { transaction });
+
+    return user;
+  });
+
+module.exports = {
+  PasswordResetError,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,190 @@
+// services/productSearch.js - Filtering, sorting and pagination of product listings
+const { Op } = require('sequelize');
+const { sequelize, Product, ProductImage, User, Category, CarnivalGroup } = require('../models');
+const { searchMatch, searchRank, searchHeadline, formatHighlight } = require('./searchIndex');
+const { listedForViewer } = require('./listingVisibility');
+const { escapeLike } = require('../utils/sql');
+
+// Relations included in every product response
+const productIncludes = () => [
+  {
+    model: User,
+    as: 'seller',
+    attributes: ['id', 'firstName', 'lastName', 'carnivalGroupId', 'ratingAverage', 'reviewCount'],
+    include: [{
+      model: CarnivalGroup,
+      attributes: ['name', 'city', 'country']
+    }]
+  },
+  {
+    model: Category,
+    attributes: ['name', 'slug', 'emoji']
+  },
+  {
+    model: ProductImage,
+    attributes: ['id', 'url', 'variants', 'isPrimary', 'sortOrder', 'mimeType', 'size']
+  }
+];
+
+// Images are always returned in the seller's chosen order
+const imageOrder = [ProductImage, 'sortOrder', 'ASC'];
+
+const SORT_ORDERS = {
+  newest: [['createdAt', 'DESC']],
+  price_asc: [['price', 'ASC'], ['createdAt', 'DESC']],
+  price_desc: [['price', 'DESC'], ['createdAt', 'DESC']],
+  popular: [['viewCount', 'DESC'], ['createdAt', 'DESC']],
+  relevance: (q) => [[searchRank(q), 'DESC'], ['createdAt', 'DESC']]
+};
+
+// Relevance is the default order of a text search, newest otherwise
+const resolveSort = (filters) => {
+  const sort = filters.sort || (filters.q ? 'relevance' : 'newest');
+  if (sort === 'relevance') {
+    return filters.q ? SORT_ORDERS.relevance(filters.q) : SORT_ORDERS.newest;
+  }
+  return SORT_ORDERS[sort] || SORT_ORDERS.newest;
+};
+
+// Build the where clause and (attribute-less) includes for a set of filters,
+// as validated by productSearchSchema in middleware/validation.js. The viewer
+// (signed-in user or null) also finds group-only listings of their groups.
+const buildSearchQuery = (filters, { viewer = null } = {}) => {
+  // Hidden listings and those of suspended sellers are never listed
+  const where = { isAvailable: true, isHidden: false, '$seller.isActive$': true };
+  const conditions = [listedForViewer(viewer)];
+
+  const sellerInclude = {
+    model: User,
+    as: 'seller',
+    attributes: [],
+    include: [{ model: CarnivalGroup, attributes: [] }]
+  };
+  const categoryInclude = { model: Category, attributes: [] };
+
+  if (filters.q) {
+    // Full-text match in Dutch, French and English (see services/searchIndex.js)
+    conditions.push(searchMatch(filters.q));
+  }
+
+  if (filters.category && filters.category !== 'all') {
+    categoryInclude.where = { slug: filters.category };
+    categoryInclude.required = true;
+  }
+
+  // Set by the storefront route, not accepted from the query string
+  if (filters.sellerId) {
+    where.sellerId = filters.sellerId;
+  }
+
+  if (filters.carnivalGroupId) {
+    // Listings of every approved member, not just those with it as primary group
+    conditions.push({
+      sellerId: {
+        [Op.in]: sequelize.literal(`(SELECT m."userId" FROM group_memberships m
+          WHERE m."carnivalGroupId" = ${sequelize.escape(filters.carnivalGroupId)} AND m.status = 'approved')`)
+      }
+    });
+  }
+
+  if (filters.city) {
+    // A listing is in a city if its seller or the seller's group is
+    const city = escapeLike(filters.city);
+    conditions.push({
+      [Op.or]: [
+        { '$seller.city$': { [Op.iLike]: city } },
+        { '$seller.CarnivalGroup.city$': { [Op.iLike]: city } }
+      ]
+    });
+  }
+
+  if (filters.condition) {
+    where.condition = filters.condition;
+  }
+
+  if (filters.size) {
+    where.size = { [Op.iLike]: escapeLike(filters.size) };
+  }
+
+  if (filters.color) {
+    where.color = { [Op.iLike]: `%${escapeLike(filters.color)}%` };
+  }
+
+  if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+    where.price = {};
+    if (filters.minPrice !== undefined) where.price[Op.gte] = filters.minPrice;
+    if (filters.maxPrice !== undefined) where.price[Op.lte] = filters.maxPrice;
+  }
+
+  if (filters.isFeatured !== undefined) {
+    where.isFeatured = filters.isFeatured;
+  }
+
+  where[Op.and] = conditions;
+
+  return {
+    where,
+    include: [sellerInclude, categoryInclude],
+    order: resolveSort(filters)
+  };
+};
+
+// Run a search and return one page of fully loaded products plus the total.
+// With a text query each product also gets highlight.title/description as
+// HTML-escaped snippets with <mark> around the matched words.
+// Matching ids are selected first so the hasMany images don't break LIMIT.
+const searchProducts = async (filters, { viewer = null } = {}) => {
+  const { where, include, order } = buildSearchQuery(filters, { viewer });
+  const limit = filters.limit;
+  const offset = (filters.page - 1) * filters.limit;
+
+  const { rows, count } = await Product.findAndCountAll({
+    attributes: ['id'],
+    where,
+    include,
+    order,
+    limit,
+    offset,
+    subQuery: false
+  });
+
+  const ids = rows.map(row => row.id);
+  // Text searches also return highlighted snippets of the title and description
+  const attributes = filters.q ? {
+    include: [
+      [searchHeadline('title', filters.q), 'titleHighlight'],
+      [searchHeadline('description', filters.q), 'descriptionHighlight']
+    ]
+  } : undefined;
+
+  const products = ids.length === 0 ? [] : await Product.findAll({
+    attributes,
+    where: { id: ids },
+    include: productIncludes(),
+    order: [imageOrder]
+  });
+
+  // Put the loaded products back in search order
+  products.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+
+  if (filters.q) {
+    products.forEach(product => {
+      product.setDataValue('highlight', {
+        title: formatHighlight(product.getDataValue('titleHighlight')),
+        description: formatHighlight(product.getDataValue('descriptionHighlight'))
+      });
+      product.setDataValue('titleHighlight', undefined);
+      product.setDataValue('descriptionHighlight', undefined);
+    });
+  }
+
+  return { products, total: count };
+};
+
+module.exports = {
+  SORT_ORDERS,
+  productIncludes,
+  imageOrder,
+  buildSearchQuery,
+  searchProducts
+};
@@ -0,0 +1,160 @@
+// services/rateLimitStore.js - Hit counter stores for rate limiting
+//
+// Both stores implement the express-rate-limit Store interface, plus
+// lastHitAt in what they return (used for progressive login delays).
+// RATE_LIMIT_STORE picks one:
+//   memory   - counters live in this process (the default, fine for one instance)
+//   database - counters live in PostgreSQL so every API instance shares them
+const { Op } = require('sequelize');
+const { sequelize, RateLimitCounter } = require('../models');
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+class MemoryCounterStore {
+  constructor({ prefix = '', windowMs } = {}) {
+    this.prefix = prefix;
+    this.windowMs = windowMs;
+    this.localKeys = true;
+    this.counters = new Map();
+
+    // Drop finished windows now and then so the map doesn't grow forever
+    this.interval = setInterval(() => {
+      const now = Date.now();
+      this.counters.forEach((counter, key) => {
+        if (counter.resetTime.getTime() <= now) this.counters.delete(key);
+      });
+    }, 60 * 1000);
+    this.interval.unref();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  // Helper function to return the live counter of a key, if any
+  current(key) {
+    const counter = this.counters.get(this.prefix + key);
+    if (!counter || counter.resetTime.getTime() <= Date.now()) {
+      return undefined;
+    }
+    return counter;
+  }
+
+  async get(key) {
+    const counter = this.current(key);
+    return counter && { ...counter };
+  }
+
+  async increment(key) {
+    const now = new Date();
+    const counter = this.current(key) || { totalHits: 0, resetTime: new Date(now.getTime() + this.windowMs) };
+    counter.totalHits += 1;
+    counter.lastHitAt = now;
+    this.counters.set(this.prefix + key, counter);
+    return { ...counter };
+  }
+
+  async decrement(key) {
+    const counter = this.current(key);
+    if (counter && counter.totalHits > 0) {
+      counter.totalHits -= 1;
+    }
+  }
+
+  async resetKey(key) {
+    this.counters.delete(this.prefix + key);
+  }
+
+  async resetAll() {
+    this.counters.clear();
+  }
+
+  shutdown() {
+    clearInterval(this.interval);
+  }
+}
+
+class DatabaseCounterStore {
+  constructor({ prefix = '', windowMs } = {}) {
+    this.prefix = prefix;
+    this.windowMs = windowMs;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const counter = await RateLimitCounter.findOne({
+      where: { key: this.prefix + key, resetAt: { [Op.gt]: new Date() } }
+    });
+    return counter
+      ? { totalHits: counter.hits, resetTime: counter.resetAt, lastHitAt: counter.lastHitAt }
+      : undefined;
+  }
+
+  // One atomic upsert, so concurrent instances never lose a hit
+  async increment(key) {
+    const now = new Date();
+    const [[counter]] = await sequelize.query(`
+      INSERT INTO rate_limit_counters ("key", "hits", "resetAt", "lastHitAt")
+      VALUES (:key, 1, :resetAt, :now)
+      ON CONFLICT ("key") DO UPDATE SET
+        "hits" = CASE WHEN rate_limit_counters."resetAt" <= :now THEN 1 ELSE rate_limit_counters."hits" + 1 END,
+        "resetAt" = CASE WHEN rate_limit_counters."resetAt" <= :now THEN EXCLUDED."resetAt" ELSE rate_limit_counters."resetAt" END,
+        "lastHitAt" = :now
+      RETURNING "hits", "resetAt", "lastHitAt"`, {
+      replacements: {
+        key: this.prefix + key,
+        resetAt: new Date(now.getTime() + this.windowMs),
+        now
+      }
+    });
+
+    return {
+      totalHits: counter.hits,
+      resetTime: new Date(counter.resetAt),
+      lastHitAt: new Date(counter.lastHitAt)
+    };
+  }
+
+  async decrement(key) {
+    await RateLimitCounter.update(
+      { hits: sequelize.literal('GREATEST("hits" - 1, 0)') },
+      { where: { key: this.prefix + key } }
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimitCounter.destroy({ where: { key: this.prefix + key } });
+  }
+
+  async resetAll() {
+    await RateLimitCounter.destroy({ where: { key: { [Op.startsWith]: this.prefix } } });
+  }
+}
+
+// Create a store for one limiter; the prefix keeps limiters apart
+const createStore = (prefix, windowMs) => {
+  switch (RATE_LIMIT_STORE) {
+    case 'memory':
+      return new MemoryCounterStore({ prefix, windowMs });
+    case 'database':
+      return new DatabaseCounterStore({ prefix, windowMs });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}" (use memory or database)`);
+  }
+};
+
+// Remove finished windows from the database store
+const pruneExpiredCounters = () =>
+  RateLimitCounter.destroy({ where: { resetAt: { [Op.lte]: new Date() } } });
+
+module.exports = {
+  RATE_LIMIT_STORE,
+  MemoryCounterStore,
+  DatabaseCounterStore,
+  createStore,
+  pruneExpiredCounters
+};
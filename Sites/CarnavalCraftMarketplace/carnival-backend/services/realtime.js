@@ -0,0 +1,79 @@
+// services/realtime.js - Live event delivery to connected clients (Server-Sent Events)
+
+// userId -> Set of open SSE responses (one per tab/device)
+const clients = new Map();
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // keeps proxies from closing idle streams
+
+// Register an SSE response for a user; returns a function that removes it.
+// isValid() is checked on every heartbeat: once it resolves false the stream
+// gets a 'session:revoked' event and is closed.
+const addClient = (userId, res, { isValid } = {}) => {
+  if (!clients.has(userId)) {
+    clients.set(userId, new Set());
+  }
+  clients.get(userId).add(res);
+
+  let open = true;
+  const remove = () => {
+    open = false;
+    clearInterval(heartbeat);
+    const connections = clients.get(userId);
+    if (connections) {
+      connections.delete(res);
+      if (connections.size === 0) {
+        clients.delete(userId);
+      }
+    }
+  };
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (isValid && !(await isValid()) && open) {
+        remove();
+        res.end('event: session:revoked\ndata: {}\n\n');
+        return;
+      }
+    } catch (error) {
+      // A failed check keeps the stream; the next heartbeat checks again
+      console.error('Failed to check event stream session:', error.message);
+    }
+    // The client may have gone while the check ran
+    if (open) {
+      res.write(': heartbeat\n\n');
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  return remove;
+};
+
+// Push an event to every connection of the given user(s)
+const publish = (userIds, event, data) => {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  [].concat(userIds).forEach(userId => {
+    const connections = clients.get(userId);
+    if (connections) {
+      connections.forEach(res => res.write(payload));
+    }
+  });
+};
+
+// Publish once the transaction commits, so rolled back changes are never announced
+const publishAfterCommit = (transaction, userIds, event, data) => {
+  if (transaction) {
+    transaction.afterCommit(() => publish(userIds, event, data));
+  } else {
+    publish(userIds, event, data);
+  }
+};
+
+const connectionCount = () =>
+  [...clients.values()].reduce((total, connections) => total + connections.size, 0);
+
+module.exports = {
+  addClient,
+  publish,
+  publishAfterCommit,
+  connectionCount
+};
@@ -0,0 +1,204 @@
+// services/reports.js - Reports of listings, users, messages and reviews
+//
+// Any verified member can report a listing, another member, a message they received
+// or a review.
+// Reports wait in the moderation queue ('open') until a moderator actions or
+// dismisses them; every reporter of the target is then told the outcome.
+// A listing or review reported by REPORT_AUTO_HIDE_THRESHOLD different
+// members is hidden until a moderator has looked at it. Only accounts older
+// than REPORT_MIN_ACCOUNT_AGE_DAYS count towards that, so a handful of fresh
+// accounts can't take a competitor's listing down.
+const { Op } = require('sequelize');
+const { sequelize, Message, Product, Report, Review, User } = require('../models');
+const { recordAudit } = require('./auditLog');
+const { notify } = require('./notifications');
+const { setProductVisibility, setReviewVisibility } = require('./moderation');
+
+const REPORT_REASONS = ['counterfeit', 'offensive', 'prohibited', 'scam', 'spam', 'harassment', 'other'];
+const AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD, 10) || 3;
+const MIN_ACCOUNT_AGE_DAYS = parseInt(process.env.REPORT_MIN_ACCOUNT_AGE_DAYS, 10) || 7;
+
+class ReportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReportError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Targets that are hidden automatically, and how
+const HIDE_TARGET = {
+  product: setProductVisibility,
+  review: setReviewVisibility
+};
+
+// Helper function to load what is being reported, with the member responsible
+// for it (seller, the member themselves, the sender or the reviewer)
+const loadTarget = async (targetType, targetId, reporter, transaction) => {
+  if (targetType === 'product') {
+    const product = await Product.findByPk(targetId, {
+      include: [{ model: User, as: 'seller', attributes: ['id', 'firstName', 'lastName'] }],
+      transaction
+    });
+    return product && { record: product, ownerId: product.sellerId };
+  }
+
+  if (targetType === 'user') {
+    const user = await User.findByPk(targetId, { transaction });
+    return user && { record: user, ownerId: user.id };
+  }
+
+  if (targetType === 'review') {
+    const review = await Review.findByPk(targetId, {
+      include: [{ model: User, as: 'reviewer', attributes: ['id', 'firstName', 'lastName'] }],
+      transaction
+    });
+    return review && { record: review, ownerId: review.reviewerId };
+  }
+
+  // Only the receiver of a message may report it
+  const message = await Message.findByPk(targetId, {
+    include: [{ model: User, as: 'sender', attributes: ['id', 'firstName', 'lastName'] }],
+    transaction
+  });
+  if (!message || (reporter && message.receiverId !== reporter.id)) {
+    return null;
+  }
+  return { record: message, ownerId: message.senderId };
+};
+
+// Number of different established members with an open report on a target
+const countOpenReporters = (targetType, targetId, transaction) =>
+  Report.count({
+    where: { targetType, targetId, status: 'open' },
+    include: [{
+      model: User,
+      as: 'reporter',
+      attributes: [],
+      where: { createdAt: { [Op.lte]: new Date(Date.now() - MIN_ACCOUNT_AGE_DAYS * 24 * 60 * 60 * 1000) } }
+    }],
+    distinct: true,
+    col: 'reporterId',
+    transaction
+  });
+
+// File a report. Returns { report, autoHidden }.
+const createReport = (reporter, { targetType, targetId, reason, details }) =>
+  sequelize.transaction(async (transaction) => {
+    const target = await loadTarget(targetType, targetId, reporter, transaction);
+    if (!target) {
+      throw new ReportError(`The reported ${targetType} was not found`, 404);
+    }
+    if (target.ownerId === reporter.id) {
+      throw new ReportError('You cannot report yourself or your own listings and reviews');
+    }
+
+    const existing = await Report.findOne({
+      where: { reporterId: reporter.id, targetType, targetId, status: 'open' },
+      transaction
+    });
+    if (existing) {
+      throw new ReportError('You have already reported this; a moderator will look at it', 409);
+    }
+
+    const report = await Report.create({
+      targetType,
+      targetId,
+      reason,
+      details: details || null,
+      reportedUserId: target.ownerId,
+      reporterId: reporter.id
+    }, { transaction });
+
+    let autoHidden = false;
+    const hideTarget = HIDE_TARGET[targetType];
+    if (hideTarget && !target.record.isHidden) {
+      const reporters = await countOpenReporters(targetType, targetId, transaction);
+      if (reporters >= AUTO_HIDE_THRESHOLD) {
+        await hideTarget(target.record, {
+          isHidden: true,
+          reason: `Hidden automatically after ${reporters} reports, pending review by a moderator`
+        }, { transaction });
+        autoHidden = true;
+      }
+    }
+
+    return { report, autoHidden };
+  });
+
+// Outcome message for the reporters
+const OUTCOME_MESSAGES = {
+  actioned: 'Thanks for your report. A moderator reviewed it and took action.',
+  dismissed: 'Thanks for your report. A moderator reviewed it and found no breach of the marketplace rules.'
+};
+
+// Action or dismiss a report together with every other open report on the
+// same target, and notify their reporters. Dismissing the reports of a listing
+// or review that was hidden automatically makes it visible again.
+const resolveReport = (report, { status, note }, { actor, req } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    if (report.status !== 'open') {
+      throw new ReportError('This report has already been resolved', 409);
+    }
+
+    const reports = await Report.findAll({
+      where: { targetType: report.targetType, targetId: report.targetId, status: 'open' },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    const resolvedAt = new Date();
+    await Report.update({
+      status,
+      resolutionNote: note || null,
+      resolvedAt,
+      resolvedById: actor ? actor.id : null
+    }, {
+      where: { id: reports.map(r => r.id) },
+      transaction
+    });
+
+    let restored = false;
+    const hideTarget = HIDE_TARGET[report.targetType];
+    if (status === 'dismissed' && hideTarget) {
+      const model = report.targetType === 'product' ? Product : Review;
+      const record = await model.findByPk(report.targetId, { transaction });
+      // hiddenById is only empty when the reports hid it
+      if (record && record.isHidden && !record.hiddenById) {
+        await hideTarget(record, { isHidden: false }, { actor, req, transaction });
+        restored = true;
+      }
+    }
+
+    await recordAudit({
+      actor,
+      action: `report.${status}`,
+      targetType: report.targetType,
+      targetId: report.targetId,
+      reason: note,
+      details: { reportIds: reports.map(r => r.id), restored },
+      req
+    }, { transaction });
+
+    const reporterIds = [...new Set(reports.map(r => r.reporterId))];
+    for (const reporterId of reporterIds) {
+      await notify(reporterId, {
+        type: 'report.resolved',
+        title: `Your report has been ${status === 'actioned' ? 'handled' : 'reviewed'}`,
+        body: OUTCOME_MESSAGES[status],
+        data: { targetType: report.targetType, targetId: report.targetId, status }
+      }, { transaction });
+    }
+
+    await report.reload({ transaction });
+    return { resolvedCount: reports.length, restored };
+  });
+
+module.exports = {
+  REPORT_REASONS,
+  AUTO_HIDE_THRESHOLD,
+  ReportError,
+  loadTarget,
+  createReport,
+  resolveReport
+};
@@ -0,0 +1,128 @@
+// services/reviews.js - Seller reviews
+//
+// The buyer of a delivered order may review it once: a 1-5 rating, text and
+// an optional photo. The seller may answer once, publicly. Hidden reviews
+// (by a moderator or after reports) don't count towards the seller's rating,
+// which is kept on the user row (ratingAverage, reviewCount) so listings and
+// profiles can show it without counting reviews on every request.
+const { fn, col } = require('sequelize');
+const { sequelize, Order, Product, Review, User } = require('../models');
+const { notify } = require('./notifications');
+
+class ReviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Recalculate a seller's rating from their visible reviews. Call inside the
+// transaction that changed the reviews: the seller row is locked first, so two
+// reviews saved at the same time can't each write a total missing the other.
+const refreshSellerRating = async (sellerId, { transaction }) => {
+  await User.findByPk(sellerId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+  const [totals] = await Review.findAll({
+    where: { sellerId, isHidden: false },
+    attributes: [
+      [fn('AVG', col('rating')), 'average'],
+      [fn('COUNT', col('id')), 'count']
+    ],
+    raw: true,
+    transaction
+  });
+
+  const reviewCount = parseInt(totals.count, 10) || 0;
+  await User.update({
+    ratingAverage: reviewCount ? Number(totals.average).toFixed(2) : null,
+    reviewCount
+  }, { where: { id: sellerId }, transaction });
+};
+
+// Review a delivered order and tell the seller
+const createReview = (reviewer, { orderId, rating, text, photo }) =>
+  sequelize.transaction(async (transaction) => {
+    const order = await Order.findByPk(orderId, {
+      include: [{ model: Product, attributes: ['id', 'title'], paranoid: false }],
+      transaction
+    });
+    if (!order || order.buyerId !== reviewer.id) {
+      throw new ReviewError('Order not found', 404);
+    }
+    if (order.status !== 'delivered') {
+      throw new ReviewError('You can review an order once it has been delivered');
+    }
+
+    const existing = await Review.findOne({ where: { orderId }, transaction });
+    if (existing) {
+      throw new ReviewError('You have already reviewed this order', 409);
+    }
+
+    const review = await Review.create({
+      rating,
+      text,
+      photo: photo || null,
+      orderId,
+      reviewerId: reviewer.id,
+      sellerId: order.sellerId,
+      productId: order.productId
+    }, { transaction });
+
+    await refreshSellerRating(order.sellerId, { transaction });
+
+    await notify(order.sellerId, {
+      type: 'review.new',
+      title: `${reviewer.firstName} gave "${order.Product.title}" ${rating} star${rating === 1 ? '' : 's'}`,
+      body: text,
+      data: { reviewId: review.id, orderId }
+    }, { transaction });
+
+    return review;
+  });
+
+// The seller's one public reply to a review; the reviewer is told
+const replyToReview = (review, seller, { reply }) =>
+  sequelize.transaction(async (transaction) => {
+    if (review.sellerId !== seller.id) {
+      throw new ReviewError('Only the seller can reply to this review', 403);
+    }
+    if (review.sellerReply) {
+      throw new ReviewError('You have already replied to this review', 409);
+    }
+
+    await review.update({ sellerReply: reply, sellerRepliedAt: new Date() }, { transaction });
+
+    await notify(review.reviewerId, {
+      type: 'review.reply',
+      title: `${seller.firstName} replied to your review`,
+      body: reply,
+      data: { reviewId: review.id }
+    }, { transaction });
+
+    return review;
+  });
+
+// Number of visible reviews per star for a seller ({ 1: n, ..., 5: n })
+const ratingDistribution = async (sellerId) => {
+  const rows = await Review.findAll({
+    where: { sellerId, isHidden: false },
+    attributes: ['rating', [fn('COUNT', col('id')), 'count']],
+    group: ['rating'],
+    raw: true
+  });
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  rows.forEach(row => {
+    distribution[row.rating] = parseInt(row.count, 10);
+  });
+  return distribution;
+};
+
+module.exports = {
+  ReviewError,
+  refreshSellerRating,
+  createReview,
+  replyToReview,
+  ratingDistribution
+};
@@ -0,0 +1,167 @@
+// services/savedSearches.js - Saved searches and alerts of new matching listings
+//
+// Members save any GET /api/products filter combination under a name. Listings
+// created since a search was last checked are emailed to its owner, either
+// within minutes ('immediate') or once a day ('daily'); services/scheduler.js
+// runs both. Alerts only go to active members with a verified email address,
+// and every email has an unsubscribe link for that one search.
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Product, SavedSearch, User } = require('../models');
+const { queueEmail } = require('./email');
+const { buildSearchQuery } = require('./productSearch');
+
+const MAX_SAVED_SEARCHES = 20;
+// Listings shown in one email; the rest are counted
+const LISTINGS_PER_ALERT = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SavedSearchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SavedSearchError';
+    this.statusCode = statusCode;
+  }
+}
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:8888';
+
+// The frontend picks the token up from the URL and posts it to
+// /api/saved-searches/unsubscribe
+const unsubscribeUrl = (search) =>
+  `${frontendUrl()}/?unsubscribeSearch=${encodeURIComponent(search.unsubscribeToken)}`;
+
+// Save a search for a member
+const createSavedSearch = async (user, { name, filters, frequency }) => {
+  const count = await SavedSearch.count({ where: { userId: user.id } });
+  if (count >= MAX_SAVED_SEARCHES) {
+    throw new SavedSearchError(`You can save up to ${MAX_SAVED_SEARCHES} searches; delete one first`);
+  }
+
+  return SavedSearch.create({
+    name,
+    filters: filters || {},
+    frequency: frequency || 'daily',
+    lastCheckedAt: new Date(),
+    unsubscribeToken: crypto.randomBytes(32).toString('hex'),
+    userId: user.id
+  });
+};
+
+// Change a saved search. New filters, or alerts switched back on, only
+// match listings from now on.
+const updateSavedSearch = (search, updates) => {
+  const restart = updates.filters !== undefined ||
+    (updates.alertsEnabled === true && !search.alertsEnabled);
+
+  return search.update({
+    ...updates,
+    ...(restart ? { lastCheckedAt: new Date() } : {})
+  });
+};
+
+// Stop the alerts of the search an unsubscribe link belongs to (null if unknown)
+const unsubscribe = async (token) => {
+  const search = await SavedSearch.findOne({ where: { unsubscribeToken: token } });
+  if (!search) {
+    return null;
+  }
+  await search.update({ alertsEnabled: false });
+  return search;
+};
+
+// Listings matching a search created in (since, until], newest first, as the
+// owner would find them; the owner's own listings are left out.
+// Returns { listings, total }.
+const findNewListings = async (search, owner, since, until) => {
+  const { where, include } = buildSearchQuery(search.filters, { viewer: owner });
+  where[Op.and].push(
+    { createdAt: { [Op.gt]: since, [Op.lte]: until } },
+    { sellerId: { [Op.ne]: owner.id } }
+  );
+
+  const [listings, total] = await Promise.all([
+    Product.findAll({
+      attributes: ['id', 'title', 'price', 'createdAt'],
+      where,
+      include,
+      order: [['createdAt', 'DESC']],
+      limit: LISTINGS_PER_ALERT,
+      subQuery: false
+    }),
+    Product.count({ where, include, distinct: true, col: 'id' })
+  ]);
+
+  return { listings, total };
+};
+
+// Helper function to email a member the new listings of one search
+const sendAlert = (owner, search, { listings, total }) =>
+  queueEmail(owner, 'saved_search_alert', {
+    searchName: search.name,
+    listings: listings.map(listing => ({ title: listing.title, price: listing.price })),
+    total,
+    unsubscribeUrl: unsubscribeUrl(search)
+  });
+
+// Check every due search of a frequency and email the owners of those with
+// new listings. Each search is claimed by moving lastCheckedAt forward first,
+// so concurrent runs never send the same listings twice; if the email can't
+// be queued the claim is undone and the next run tries again. Returns the emails queued.
+const sendSavedSearchAlerts = async (frequency) => {
+  const now = new Date();
+  const where = { frequency, alertsEnabled: true };
+  if (frequency === 'daily') {
+    where.lastCheckedAt = { [Op.lte]: new Date(now.getTime() - DAY_MS) };
+  }
+
+  const searches = await SavedSearch.findAll({
+    where,
+    include: [{
+      model: User,
+      where: { isActive: true, isVerified: true },
+      attributes: ['id', 'email', 'firstName', 'locale']
+    }]
+  });
+
+  let sent = 0;
+  for (const search of searches) {
+    const since = search.lastCheckedAt;
+    const [claimed] = await SavedSearch.update(
+      { lastCheckedAt: now },
+      { where: { id: search.id, lastCheckedAt: since } }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    try {
+      const found = await findNewListings(search, search.User, since, now);
+      if (found.total === 0) {
+        continue;
+      }
+
+      await sendAlert(search.User, search, found);
+      await SavedSearch.update({ lastSentAt: now }, { where: { id: search.id } });
+      sent++;
+    } catch (error) {
+      console.error(`Failed to send alert for saved search ${search.id}:`, error.message);
+      await SavedSearch.update(
+        { lastCheckedAt: since },
+        { where: { id: search.id, lastCheckedAt: now } }
+      );
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  MAX_SAVED_SEARCHES,
+  SavedSearchError,
+  createSavedSearch,
+  updateSavedSearch,
+  unsubscribe,
+  findNewListings,
+  sendSavedSearchAlerts
+};
@@ -0,0 +1,95 @@
+// services/scheduler.js - Periodic background jobs
+//
+// Jobs run in-process on a timer (unref'd, so they never keep the process
+// alive). With several API instances each instance runs them; every job is
+// written to be safe to run concurrently and repeatedly.
+const { pruneExpiredTokens } = require('./sessions');
+const { RATE_LIMIT_STORE, pruneExpiredCounters } = require('./rateLimitStore');
+const { promoteDueListings } = require('./listingVisibility');
+const { sendSavedSearchAlerts } = require('./savedSearches');
+const { processOutbox, pruneSentEmails } = require('./email');
+const { expireStaleCheckouts } = require('./checkout');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const JOBS = [
+  // Expired refresh tokens are useless, even for reuse detection
+  { name: 'prune refresh tokens', run: pruneExpiredTokens, every: 6 * HOUR, atStart: true },
+  {
+    name: 'prune rate limit counters',
+    run: pruneExpiredCounters,
+    every: 15 * MINUTE,
+    enabled: () => RATE_LIMIT_STORE === 'database'
+  },
+  {
+    name: 'promote group-only listings',
+    run: async () => {
+      const promoted = await promoteDueListings();
+      if (promoted > 0) {
+        console.log(`📢 ${promoted} group-only listing(s) made public`);
+      }
+    },
+    every: 15 * MINUTE,
+    atStart: true
+  },
+  // Abandoned checkouts stop holding their listing
+  {
+    name: 'expire unpaid checkouts',
+    run: async () => {
+      const expired = await expireStaleCheckouts();
+      if (expired > 0) {
+        console.log(`⌛ ${expired} unpaid checkout(s) cancelled`);
+      }
+    },
+    every: 5 * MINUTE,
+    atStart: true
+  },
+  // 'immediate' saved searches within minutes, 'daily' ones once a day each
+  ...['immediate', 'daily'].map(frequency => ({
+    name: `${frequency} saved search alerts`,
+    run: async () => {
+      const sent = await sendSavedSearchAlerts(frequency);
+      if (sent > 0) {
+        console.log(`🔔 ${sent} ${frequency} saved search alert(s) queued`);
+      }
+    },
+    every: frequency === 'immediate' ? 5 * MINUTE : HOUR
+  })),
+  // Emails whose first send failed, and any left behind by a restart
+  {
+    name: 'send email outbox',
+    run: async () => {
+      const sent = await processOutbox();
+      if (sent > 0) {
+        console.log(`📧 ${sent} queued email(s) sent`);
+      }
+    },
+    every: MINUTE,
+    atStart: true
+  },
+  { name: 'prune sent emails', run: pruneSentEmails, every: 24 * HOUR }
+];
+
+// Helper function to run a job, logging instead of throwing
+const runJob = (job) => Promise.resolve()
+  .then(job.run)
+  .catch((error) => {
+    console.error(`Scheduled job "${job.name}" failed:`, error.message);
+  });
+
+// Start every enabled job; call once the database is ready
+const startScheduler = () => {
+  JOBS.forEach((job) => {
+    if (job.enabled && !job.enabled()) return;
+
+    if (job.atStart) {
+      runJob(job);
+    }
+    setInterval(() => runJob(job), job.every).unref();
+  });
+};
+
+module.exports = {
+  startScheduler
+};
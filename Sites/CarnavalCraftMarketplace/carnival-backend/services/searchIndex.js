@@ -0,0 +1,118 @@
+// services/searchIndex.js - PostgreSQL full-text search over product listings
+//
+// Buyers search in Dutch, French and English, so every listing is indexed with
+// the stemmer of each language (plus an unstemmed "simple" pass for names and
+// sizes). Each configuration runs unaccent first, so "epee" finds "épée".
+// A trigger keeps products."searchVector" current on every insert and update.
+const { sequelize } = require('../models');
+const { escapeHtml } = require('../utils/html');
+
+const SEARCH_CONFIGS = {
+  carnival_simple: 'simple',
+  carnival_nl: 'dutch_stem',
+  carnival_fr: 'french_stem',
+  carnival_en: 'english_stem'
+};
+
+// Highlight markers. Listing text may contain them too, so carnival_headline
+// strips them from the text first: then the snippet can be HTML-escaped and
+// only the markers ts_headline added become <mark> tags
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+const SETUP_SQL = [
+  'CREATE EXTENSION IF NOT EXISTS unaccent',
+
+  // Text search configurations: unaccent, then the language's stemmer
+  ...Object.entries(SEARCH_CONFIGS).map(([name, dictionary]) => `
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = '${name}') THEN
+        CREATE TEXT SEARCH CONFIGURATION ${name} (COPY = simple);
+        ALTER TEXT SEARCH CONFIGURATION ${name}
+          ALTER MAPPING FOR asciiword, asciihword, hword_asciipart, word, hword, hword_part
+          WITH unaccent, ${dictionary};
+      END IF;
+    END
+    $$`),
+
+  // Document vector in every language
+  `CREATE OR REPLACE FUNCTION carnival_tsvector(body text) RETURNS tsvector AS $$
+    SELECT to_tsvector('carnival_simple', coalesce(body, '')) ||
+           to_tsvector('carnival_nl', coalesce(body, '')) ||
+           to_tsvector('carnival_fr', coalesce(body, '')) ||
+           to_tsvector('carnival_en', coalesce(body, ''))
+  $$ LANGUAGE sql STABLE`,
+
+  // A query matches if it matches in any of the languages
+  `CREATE OR REPLACE FUNCTION carnival_tsquery(q text) RETURNS tsquery AS $$
+    SELECT websearch_to_tsquery('carnival_simple', q) ||
+           websearch_to_tsquery('carnival_nl', q) ||
+           websearch_to_tsquery('carnival_fr', q) ||
+           websearch_to_tsquery('carnival_en', q)
+  $$ LANGUAGE sql STABLE`,
+
+  // Snippet highlighted with the first language in which the text matches
+  `CREATE OR REPLACE FUNCTION carnival_headline(doc text, q text) RETURNS text AS $$
+    SELECT COALESCE(
+      (SELECT ts_headline(cfg, body, websearch_to_tsquery(cfg, q),
+                'StartSel=${MARK_START}, StopSel=${MARK_END}, MaxWords=25, MinWords=10, MaxFragments=2')
+         FROM unnest(ARRAY['carnival_nl', 'carnival_fr', 'carnival_en', 'carnival_simple']::regconfig[]) AS cfg
+        WHERE to_tsvector(cfg, coalesce(body, '')) @@ websearch_to_tsquery(cfg, q)
+        LIMIT 1),
+      left(body, 160))
+    FROM (SELECT translate(doc, chr(${MARK_START.charCodeAt(0)}) || chr(${MARK_END.charCodeAt(0)}), '') AS body) AS clean
+  $$ LANGUAGE sql STABLE`,
+
+  // Title weighs most, then description, then material and color
+  `CREATE OR REPLACE FUNCTION products_search_vector_update() RETURNS trigger AS $$
+    BEGIN
+      NEW."searchVector" :=
+        setweight(carnival_tsvector(NEW.title), 'A') ||
+        setweight(carnival_tsvector(NEW.description), 'B') ||
+        setweight(carnival_tsvector(concat_ws(' ', NEW.material, NEW.color)), 'C');
+      RETURN NEW;
+    END
+  $$ LANGUAGE plpgsql`,
+
+  'DROP TRIGGER IF EXISTS products_search_vector_trigger ON products',
+  `CREATE TRIGGER products_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF title, description, material, color ON products
+    FOR EACH ROW EXECUTE FUNCTION products_search_vector_update()`,
+
+  'CREATE INDEX IF NOT EXISTS products_search_vector_idx ON products USING GIN ("searchVector")',
+
+  // Index listings created before the trigger existed
+  'UPDATE products SET title = title WHERE "searchVector" IS NULL'
+];
+
+// Create (or update) the search configuration, trigger and index.
+// Runs at startup after sequelize.sync(), and is safe to run repeatedly.
+const ensureSearchIndex = async () => {
+  for (const statement of SETUP_SQL) {
+    await sequelize.query(statement);
+  }
+};
+
+// SQL fragments for a search text (the text is escaped here)
+const searchMatch = (q) =>
+  sequelize.literal(`"Product"."searchVector" @@ carnival_tsquery(${sequelize.escape(q)})`);
+
+const searchRank = (q) =>
+  sequelize.literal(`ts_rank_cd("Product"."searchVector", carnival_tsquery(${sequelize.escape(q)}))`);
+
+const searchHeadline = (column, q) =>
+  sequelize.literal(`carnival_headline("Product"."${column}", ${sequelize.escape(q)})`);
+
+// Turn a raw headline into HTML with <mark> highlights
+const formatHighlight = (headline) => headline == null ? null : escapeHtml(headline)
+  .split(MARK_START).join('<mark>')
+  .split(MARK_END).join('</mark>');
+
+module.exports = {
+  ensureSearchIndex,
+  searchMatch,
+  searchRank,
+  searchHeadline,
+  formatHighlight
+};
@@ -0,0 +1,135 @@
+// services/sessions.js - Refresh token rotation and session revocation
+//
+// Signing in starts a session per device: a short-lived access token (see
+// services/tokens.js) plus an opaque refresh token. Every refresh replaces the
+// refresh token with a new one in the same family. Presenting a token that was
+// already replaced means it was copied, so the whole family is revoked and
+// both the thief and the real device have to sign in again.
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize, RefreshToken, User } = require('../models');
+const { generateToken } = require('./tokens');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = 401;
+    this.code = code;
+  }
+}
+
+// Helper function to hash a refresh token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Helper function to describe the device a request comes from
+const deviceInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500) || null,
+  ipAddress: req.ip || null
+});
+
+// Create a refresh token row and return the raw token
+const createRefreshToken = async (user, familyId, req, transaction) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const record = await RefreshToken.create({
+    tokenHash: hashToken(token),
+    familyId,
+    userId: user.id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ...deviceInfo(req)
+  }, { transaction });
+  return { token, record };
+};
+
+// Helper function to revoke every live token of a family
+const revokeFamily = (familyId, transaction) =>
+  RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { familyId, revokedAt: null }, transaction }
+  );
+
+// Start a session for a device: { token, refreshToken }
+const issueSession = async (user, req, transaction) => {
+  const { token: refreshToken } = await createRefreshToken(user, uuidv4(), req, transaction);
+  return { token: generateToken(user), refreshToken };
+};
+
+// Exchange a refresh token for a new access token and refresh token.
+// Revoking a family must outlive the SessionError that follows it, so the
+// transaction returns that error and it is only thrown after the commit.
+const rotateSession = async (refreshToken, req) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    const current = await RefreshToken.findOne({
+      where: { tokenHash: hashToken(refreshToken) },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!current) {
+      return { error: new SessionError('Invalid refresh token', 'REFRESH_INVALID') };
+    }
+
+    if (current.revokedAt) {
+      // Reuse of a rotated token: sign this device out everywhere it was copied to
+      if (current.replacedById) {
+        await revokeFamily(current.familyId, transaction);
+        console.warn(`⚠️ Refresh token reuse detected for user ${current.userId}, session revoked`);
+      }
+      return { error: new SessionError('Session has been revoked, please log in again', 'REFRESH_REVOKED') };
+    }
+
+    if (current.expiresAt <= new Date()) {
+      return { error: new SessionError('Session has expired, please log in again', 'REFRESH_EXPIRED') };
+    }
+
+    const user = await User.findByPk(current.userId, { transaction });
+    if (!user || !user.isActive) {
+      await revokeFamily(current.familyId, transaction);
+      return { error: new SessionError('Account is deactivated', 'ACCOUNT_INACTIVE') };
+    }
+
+    const { token: nextToken, record } = await createRefreshToken(user, current.familyId, req, transaction);
+    await current.update({ revokedAt: new Date(), replacedById: record.id }, { transaction });
+
+    return { user, token: generateToken(user), refreshToken: nextToken };
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+  return result;
+};
+
+// End the session (device) a refresh token belongs to; unknown tokens are ignored
+const endSession = async (refreshToken) => {
+  const current = await RefreshToken.findOne({ where: { tokenHash: hashToken(refreshToken) } });
+  if (current) {
+    await revokeFamily(current.familyId);
+  }
+};
+
+// Sign the user out everywhere: refresh tokens are revoked and access tokens
+// stop working because tokenVersion changes
+const revokeAllSessions = async (user, { transaction } = {}) => {
+  await RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { userId: user.id, revokedAt: null }, transaction }
+  );
+  await user.increment('tokenVersion', { transaction });
+  await user.reload({ transaction });
+};
+
+// Remove refresh tokens that can no longer be used
+const pruneExpiredTokens = () =>
+  RefreshToken.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+
+module.exports = {
+  SessionError,
+  issueSession,
+  rotateSession,
+  endSession,
+  revokeAllSessions,
+  pruneExpiredTokens
+};
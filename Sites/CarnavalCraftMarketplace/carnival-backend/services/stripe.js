@@ -0,0 +1,61 @@
+// services/stripe.js - Shared Stripe client
+const Stripe = require('stripe');
+
+// Point STRIPE_API_HOST/PORT/PROTOCOL at stripe-mock (localhost:12111, http)
+// to exercise the checkout flow without a live Stripe account.
+const stripeConfig = {};
+if (process.env.STRIPE_API_HOST) {
+  stripeConfig.host = process.env.STRIPE_API_HOST;
+  stripeConfig.port = process.env.STRIPE_API_PORT || 12111;
+  stripeConfig.protocol = process.env.STRIPE_API_PROTOCOL || 'http';
+}
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_123', stripeConfig);
+
+// Platform fee charged on top of the item price (shown in the buy modal),
+// e.g. PLATFORM_FEE_RATE=0.05 for 5%. A rate outside 0-1 stops the server
+// from starting rather than charging buyers a wrong amount.
+const DEFAULT_PLATFORM_FEE_RATE = 0.05;
+
+const parseFeeRate = (value) => {
+  if (value === undefined || value.trim() === '') {
+    return DEFAULT_PLATFORM_FEE_RATE;
+  }
+  const rate = Number(value);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+    throw new Error(`PLATFORM_FEE_RATE must be a number between 0 and 1, got "${value}"`);
+  }
+  return rate;
+};
+
+const PLATFORM_FEE_RATE = parseFeeRate(process.env.PLATFORM_FEE_RATE);
+const CURRENCY = 'eur';
+
+// Stripe works in the smallest currency unit
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Order.paymentMethod values and the Stripe payment method type behind each
+const PAYMENT_METHOD_TYPES = {
+  bancontact: 'bancontact',
+  visa: 'card',
+  mastercard: 'card'
+};
+
+// Stripe test payment methods, used when the client doesn't send its own
+// (only ever with a test key, e.g. against stripe-mock)
+const TEST_PAYMENT_METHODS = {
+  visa: 'pm_card_visa',
+  mastercard: 'pm_card_mastercard'
+};
+
+const isTestMode = () => !process.env.STRIPE_SECRET_KEY || process.env.STRIPE_SECRET_KEY.startsWith('sk_test_');
+
+module.exports = {
+  stripe,
+  PLATFORM_FEE_RATE,
+  CURRENCY,
+  PAYMENT_METHOD_TYPES,
+  TEST_PAYMENT_METHODS,
+  toCents,
+  isTestMode
+};
@@ -0,0 +1,47 @@
+// services/tokens.js - Access and single-purpose tokens
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'carnival-secret-key';
+
+// Access tokens are short-lived; clients renew them with a refresh token
+// (see services/sessions.js)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Helper function to generate JWT. The user's tokenVersion is embedded so
+// every existing token can be revoked by incrementing it.
+const generateToken = (user) => {
+  return jwt.sign(
+    { userId: user.id, tokenVersion: user.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Verify a session token's signature and expiry and return its payload
+const verifyToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('Not a session token');
+  }
+  return decoded;
+};
+
+// Tokens sent by email only work for the action they were issued for, and
+// only while the email address is unchanged (claims adds to the payload)
+const generatePurposeToken = (user, purpose, expiresIn, claims = {}) =>
+  jwt.sign({ ...claims, userId: user.id, email: user.email, purpose }, JWT_SECRET, { expiresIn });
+
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Token was issued for another purpose');
+  }
+  return decoded;
+};
+
+module.exports = {
+  generateToken,
+  verifyToken,
+  generatePurposeToken,
+  verifyPurposeToken
+};
@@ -0,0 +1,151 @@
+// services/twoFactor.js - TOTP two-factor authentication (RFC 6238)
+//
+// Codes are the usual 6 digits every 30 seconds (HMAC-SHA1), so any
+// authenticator app works. The shared secret is stored encrypted
+// (AES-256-GCM), recovery codes only as SHA-256 hashes.
+const crypto = require('crypto');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Carnaval Craft Marketplace';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ALLOWED_DRIFT_STEPS = 1; // accept the previous and next code too
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Helper function to encode bytes as RFC 4648 base32 (no padding)
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// The secret is encrypted with a key derived from TWO_FACTOR_KEY (or JWT_SECRET)
+const encryptionKey = () =>
+  crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET || 'carnival-secret-key')
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Helper function to compute the code for one time step (RFC 4226 HOTP)
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// New random secret (base32) and the otpauth:// URI to show as a QR code
+const generateSecret = (accountName) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return { secret, otpauthUrl: `otpauth://totp/${label}?${params}` };
+};
+
+// Check a code against a secret. Returns the matched time step, or null.
+// Steps up to lastUsedStep are refused so a code can't be replayed.
+const verifyCode = (secret, code, lastUsedStep = -1) => {
+  const candidate = Buffer.from(String(code).replace(/\s/g, ''));
+  const now = currentStep();
+  for (let step = now - ALLOWED_DRIFT_STEPS; step <= now + ALLOWED_DRIFT_STEPS; step++) {
+    const expected = Buffer.from(hotp(secret, step));
+    if (step > lastUsedStep && candidate.length === expected.length &&
+        crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Helper function to hash a recovery code (dashes and case don't matter)
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// New recovery codes: the plain codes go to the user once, the hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Returns the remaining hashes if the code matches one, or null
+const consumeRecoveryCode = (hashes, code) => {
+  const hash = hashRecoveryCode(code);
+  if (!Array.isArray(hashes) || !hashes.includes(hash)) {
+    return null;
+  }
+  return hashes.filter(existing => existing !== hash);
+};
+
+// Check a user's TOTP code or recovery code and record its use, so neither
+// can be used again. Resolves to true if it was accepted.
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), code, user.twoFactorLastUsedStep ?? -1);
+    if (step === null) {
+      return false;
+    }
+    await user.update({ twoFactorLastUsedStep: step });
+    return true;
+  }
+
+  const remaining = consumeRecoveryCode(user.twoFactorRecoveryCodes, recoveryCode);
+  if (!remaining) {
+    return false;
+  }
+  await user.update({ twoFactorRecoveryCodes: remaining });
+  return true;
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  checkSecondFactor
+};
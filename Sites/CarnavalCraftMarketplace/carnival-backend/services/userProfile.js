@@ -0,0 +1,60 @@
+// services/userProfile.js - Public seller profiles
+const { CarnivalGroup, Product, User } = require('../models');
+
+// The only user fields anyone else may see; email, phone, address and
+// postal code stay private
+const PUBLIC_USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'city', 'isVerified', 'createdAt'];
+const PUBLIC_GROUP_ATTRIBUTES = ['id', 'name', 'city', 'country', 'verified'];
+
+// Load an active user's public profile with listing stats, or null
+const getPublicProfile = async (userId) => {
+  const user = await User.findOne({
+    where: { id: userId, isActive: true },
+    attributes: [...PUBLIC_USER_ATTRIBUTES, 'ratingAverage', 'reviewCount'],
+    include: [
+      { model: CarnivalGroup, attributes: PUBLIC_GROUP_ATTRIBUTES },
+      {
+        model: CarnivalGroup,
+        as: 'groups',
+        attributes: PUBLIC_GROUP_ATTRIBUTES,
+        where: { status: 'active' },
+        through: { where: { status: 'approved' }, attributes: [] },
+        required: false
+      }
+    ]
+  });
+  if (!user) {
+    return null;
+  }
+
+  const [activeListingCount, soldCount] = await Promise.all([
+    Product.count({ where: { sellerId: userId, isAvailable: true, isHidden: false, visibility: 'public' } }),
+    // Deleted listings still count as sold items
+    Product.count({ where: { sellerId: userId, status: 'sold' }, paranoid: false })
+  ]);
+
+  return {
+    id: user.id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    city: user.city || (user.CarnivalGroup && user.CarnivalGroup.city) || null,
+    isVerified: user.isVerified,
+    memberSince: user.createdAt,
+    carnivalGroup: user.CarnivalGroup, // primary group
+    groups: user.groups,
+    stats: {
+      activeListingCount,
+      soldCount
+    },
+    // From visible reviews (see services/reviews.js)
+    rating: {
+      average: user.ratingAverage === null ? null : Number(user.ratingAverage),
+      count: user.reviewCount
+    }
+  };
+};
+
+module.exports = {
+  PUBLIC_USER_ATTRIBUTES,
+  getPublicProfile
+};
@@ -0,0 +1,78 @@
+// test/sessions.test.js - Refresh token rotation (node --test)
+//
+// The models are replaced by an in-memory store whose transactions roll back
+// when their callback throws, like sequelize.transaction() does.
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const tokens = [];
+const users = new Map();
+
+// A row as a model instance: plain data plus update()
+const asInstance = (row) => row && {
+  ...row,
+  update: async (values) => Object.assign(row, values)
+};
+
+const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+const RefreshToken = {
+  findOne: async ({ where }) => asInstance(tokens.find(row => matches(row, where))),
+  create: async (values) => {
+    const row = { id: `token-${tokens.length + 1}`, revokedAt: null, replacedById: null, ...values };
+    tokens.push(row);
+    return asInstance(row);
+  },
+  update: async (values, { where }) => {
+    const rows = tokens.filter(row => matches(row, where));
+    rows.forEach(row => Object.assign(row, values));
+    return [rows.length];
+  }
+};
+
+const User = {
+  findByPk: async (id) => asInstance(users.get(id))
+};
+
+const sequelize = {
+  transaction: async (callback) => {
+    const snapshot = tokens.map(row => ({ ...row }));
+    try {
+      return await callback({ LOCK: { UPDATE: 'UPDATE' } });
+    } catch (error) {
+      tokens.splice(0, tokens.length, ...snapshot);
+      throw error;
+    }
+  }
+};
+
+require.cache[require.resolve(path.join(__dirname, '../models'))] = {
+  exports: { sequelize, RefreshToken, User }
+};
+const { issueSession, rotateSession } = require('../services/sessions');
+
+const req = { ip: '127.0.0.1', get: () => 'node-test' };
+
+test.beforeEach(() => {
+  tokens.length = 0;
+  users.clear();
+  users.set('user-1', { id: 'user-1', isActive: true, tokenVersion: 0 });
+});
+
+test('reusing a rotated refresh token revokes the newest token of its family', async () => {
+  const { refreshToken: first } = await issueSession(users.get('user-1'), req);
+  const { refreshToken: second } = await rotateSession(first, req);
+
+  await assert.rejects(rotateSession(first, req), { code: 'REFRESH_REVOKED' });
+  await assert.rejects(rotateSession(second, req), { code: 'REFRESH_REVOKED' });
+  assert.ok(tokens.every(row => row.revokedAt));
+});
+
+test('a deactivated account loses its session family', async () => {
+  const { refreshToken } = await issueSession(users.get('user-1'), req);
+  users.get('user-1').isActive = false;
+
+  await assert.rejects(rotateSession(refreshToken, req), { code: 'ACCOUNT_INACTIVE' });
+  assert.ok(tokens.every(row => row.revokedAt));
+});
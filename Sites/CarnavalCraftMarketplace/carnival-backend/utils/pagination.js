@@ -0,0 +1,22 @@
+// utils/pagination.js - Shared page/limit handling for list endpoints
+
+// Helper function to read ?page=&limit= from a query string
+const getPagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+// Helper function to build the pagination block of a list response
+const paginationMeta = (total, { page, limit }) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit)
+});
+
+module.exports = {
+  getPagination,
+  paginationMeta
+};
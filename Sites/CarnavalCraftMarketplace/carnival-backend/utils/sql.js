@@ -0,0 +1,8 @@
+// utils/sql.js - Helpers for building queries from user input
+
+// Helper function to make user input safe inside a LIKE pattern
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+module.exports = {
+  escapeLike
+};
@@ -1,13 +1,20 @@
 // frontend-api.js - API integration for the carnival marketplace frontend
 
+// Endpoints that never need (or can't use) a refreshed access token
+const SESSION_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout', '/auth/2fa/verify'];
+
 class CarnivalAPI {
   constructor(baseURL = 'http://localhost:3001/api') {
     this.baseURL = baseURL;
     this.token = localStorage.getItem('carnival-token');
+    this.refreshToken = localStorage.getItem('carnival-refresh-token');
+    this.refreshing = null;
   }
 
-  // Helper method to make authenticated requests
-  async request(endpoint, options = {}) {
+  // Helper method to make authenticated requests. An expired access token
+  // (code TOKEN_EXPIRED) is renewed with the refresh token once, and the
+  // request retried; other 401s, like a wrong password, are not sent twice.
+  async request(endpoint, options = {}, retry = true) {
     const url = `${this.baseURL}${endpoint}`;
     const config = {
       headers: {
@@ -26,6 +33,12 @@ class CarnivalAPI {
       const response = await fetch(url, config);
       const data = await response.json();
 
+      if (response.status === 401 && data.code === 'TOKEN_EXPIRED' && retry && this.refreshToken &&
+          !SESSION_ENDPOINTS.includes(endpoint)) {
+        await this.refreshSession();
+        return await this.request(endpoint, options, false);
+      }
+
       if (!response.ok) {
         throw new Error(data.error || 'An error occurred');
       }
@@ -37,6 +50,40 @@ class CarnivalAPI {
     }
   }
 
+  // Get a new access token with the refresh token. Concurrent callers share
+  // one request, because a refresh token can only be used once.
+  async refreshSession() {
+    if (!this.refreshing) {
+      this.refreshing = (async () => {
+        // Another tab may have refreshed already
+        const stored = localStorage.getItem('carnival-refresh-token');
+        if (stored && stored !== this.refreshToken) {
+          this.token = localStorage.getItem('carnival-token');
+          this.refreshToken = stored;
+          return;
+        }
+
+        const response = await fetch(`${this.baseURL}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: this.refreshToken })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          this.clearToken();
+          window.dispatchEvent(new CustomEvent('carnival:session-expired'));
+          throw new Error(data.error || 'Session expired, please log in again');
+        }
+
+        this.setSession(data);
+      })().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return await this.refreshing;
+  }
+
   // Authentication methods
   async register(userData) {
     try {
@@ -46,7 +93,7 @@ class CarnivalAPI {
       });
 
       if (response.token) {
-        this.setToken(response.token);
+        this.setSession(response);
       }
 
       return response;
@@ -63,7 +110,7 @@ class CarnivalAPI {
       });
 
       if (response.token) {
-        this.setToken(response.token);
+        this.setSession(response);
       }
 
       return response;
@@ -72,9 +119,51 @@ class CarnivalAPI {
     }
   }
 
+  // Second login step for accounts with 2FA (login() returned twoFactorRequired)
+  async verifyTwoFactor(challengeToken, { code, recoveryCode }) {
+    const response = await this.request('/auth/2fa/verify', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, code, recoveryCode })
+    });
+
+    if (response.token) {
+      this.setSession(response);
+    }
+
+    return response;
+  }
+
+  async setupTwoFactor() {
+    return await this.request('/auth/2fa/setup', { method: 'POST' });
+  }
+
+  async enableTwoFactor(code) {
+    const response = await this.request('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+
+    // Every other session ends when 2FA is turned on
+    if (response.token) {
+      this.setSession(response);
+    }
+
+    return response;
+  }
+
+  async disableTwoFactor(password, { code, recoveryCode }) {
+    return await this.request('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code, recoveryCode })
+    });
+  }
+
   async logout() {
     try {
-      await this.request('/auth/logout', { method: 'POST' });
+      await this.request('/auth/logout', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken: this.refreshToken })
+      });
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
@@ -82,6 +171,41 @@ class CarnivalAPI {
     }
   }
 
+  async logoutAll() {
+    try {
+      await this.request('/auth/logout-all', { method: 'POST' });
+    } finally {
+      this.clearToken();
+    }
+  }
+
+  async verifyEmail(token) {
+    return await this.request('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    });
+  }
+
+  async resendVerification() {
+    return await this.request('/auth/resend-verification', {
+      method: 'POST'
+    });
+  }
+
+  async requestPasswordReset(email) {
+    return await this.request('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+  }
+
+  async resetPassword(token, newPassword) {
+    return await this.request('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, newPassword })
+    });
+  }
+
   async getCurrentUser() {
     return await this.request('/auth/me');
   }
@@ -92,9 +216,20 @@ class CarnivalAPI {
     localStorage.setItem('carnival-token', token);
   }
 
+  // Store the access and refresh token of a login, registration or refresh
+  setSession({ token, refreshToken }) {
+    this.setToken(token);
+    if (refreshToken) {
+      this.refreshToken = refreshToken;
+      localStorage.setItem('carnival-refresh-token', refreshToken);
+    }
+  }
+
   clearToken() {
     this.token = null;
+    this.refreshToken = null;
     localStorage.removeItem('carnival-token');
+    localStorage.removeItem('carnival-refresh-token');
   }
 
   // Carnival groups methods
@@ -106,6 +241,64 @@ class CarnivalAPI {
     return await this.request(`/carnival-groups/${id}`);
   }
 
+  async getMyCarnivalGroups() {
+    return await this.request('/carnival-groups/mine');
+  }
+
+  async requestCarnivalGroup(groupData) {
+    return await this.request('/carnival-groups', {
+      method: 'POST',
+      body: JSON.stringify(groupData)
+    });
+  }
+
+  async updateCarnivalGroup(id, { description, website }) {
+    return await this.request(`/carnival-groups/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ description, website })
+    });
+  }
+
+  async joinCarnivalGroup(id, message = '') {
+    return await this.request(`/carnival-groups/${id}/join`, {
+      method: 'POST',
+      body: JSON.stringify({ message })
+    });
+  }
+
+  async leaveCarnivalGroup(id) {
+    return await this.request(`/carnival-groups/${id}/membership`, {
+      method: 'DELETE'
+    });
+  }
+
+  // The primary group is shown on the member's listings
+  async setPrimaryCarnivalGroup(id) {
+    return await this.updateUserProfile({ carnivalGroupId: id });
+  }
+
+  async getGroupMemberships(id, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString
+      ? `/carnival-groups/${id}/memberships?${queryString}`
+      : `/carnival-groups/${id}/memberships`;
+    return await this.request(endpoint);
+  }
+
+  async decideGroupMembership(id, membershipId, status) {
+    return await this.request(`/carnival-groups/${id}/memberships/${membershipId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ status })
+    });
+  }
+
+  async setGroupMemberRole(id, membershipId, role) {
+    return await this.request(`/carnival-groups/${id}/memberships/${membershipId}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role })
+    });
+  }
+
   // Product methods
   async getProducts(params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -151,12 +344,69 @@ class CarnivalAPI {
     });
   }
 
+  async updateProductStatus(id, status) {
+    return await this.request(`/products/${id}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status })
+    });
+  }
+
+  // visibility: 'public', 'group' (with optional visibilityGroupId and
+  // promoteAfterDays) or 'unlisted'
+  async updateProductVisibility(id, { visibility, visibilityGroupId, promoteAfterDays }) {
+    return await this.request(`/products/${id}/visibility`, {
+      method: 'PUT',
+      body: JSON.stringify({ visibility, visibilityGroupId, promoteAfterDays })
+    });
+  }
+
   async deleteProduct(id) {
     return await this.request(`/products/${id}`, {
       method: 'DELETE'
     });
   }
 
+  async addProductImages(id, images) {
+    const formData = new FormData();
+    Array.from(images).forEach(image => formData.append('images', image));
+
+    return await this.request(`/products/${id}/images`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.token}` },
+      body: formData
+    });
+  }
+
+  async reorderProductImages(id, imageIds) {
+    return await this.request(`/products/${id}/images/order`, {
+      method: 'PUT',
+      body: JSON.stringify({ imageIds })
+    });
+  }
+
+  async setPrimaryProductImage(id, imageId) {
+    return await this.request(`/products/${id}/images/${imageId}/primary`, {
+      method: 'PUT'
+    });
+  }
+
+  async replaceProductImage(id, imageId, image) {
+    const formData = new FormData();
+    formData.append('image', image);
+
+    return await this.request(`/products/${id}/images/${imageId}`, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${this.token}` },
+      body: formData
+    });
+  }
+
+  async deleteProductImage(id, imageId) {
+    return await this.request(`/products/${id}/images/${imageId}`, {
+      method: 'DELETE'
+    });
+  }
+
   async getUserProducts(userId, params = {}) {
     const queryString = new URLSearchParams(params).toString();
     const endpoint = queryString ? `/products/user/${userId}?${queryString}` : `/products/user/${userId}`;
@@ -164,17 +414,17 @@ class CarnivalAPI {
   }
 
   // Payment methods
-  async createPaymentIntent(productId, shippingAddress) {
+  async createPaymentIntent(productId, shippingAddress, paymentMethod) {
     return await this.request('/payments/create-payment-intent', {
       method: 'POST',
-      body: JSON.stringify({ productId, shippingAddress })
+      body: JSON.stringify({ productId, shippingAddress, paymentMethod })
     });
   }
 
-  async confirmPayment(paymentIntentId, paymentMethodType) {
+  async confirmPayment(paymentIntentId, paymentMethodType, paymentMethodId) {
     return await this.request('/payments/confirm-payment', {
       method: 'POST',
-      body: JSON.stringify({ paymentIntentId, paymentMethodType })
+      body: JSON.stringify({ paymentIntentId, paymentMethodType, paymentMethodId })
     });
   }
 
@@ -195,6 +445,39 @@ class CarnivalAPI {
     });
   }
 
+  // Messaging methods
+  async getConversations(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/messages/conversations?${queryString}` : '/messages/conversations';
+    return await this.request(endpoint);
+  }
+
+  async getConversation(counterpartId, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString
+      ? `/messages/conversations/${counterpartId}?${queryString}`
+      : `/messages/conversations/${counterpartId}`;
+    return await this.request(endpoint);
+  }
+
+  async sendMessage(receiverId, content, productId = null) {
+    return await this.request('/messages', {
+      method: 'POST',
+      body: JSON.stringify({ receiverId, content, productId })
+    });
+  }
+
+  async markConversationRead(counterpartId, productId = null) {
+    return await this.request(`/messages/conversations/${counterpartId}/read`, {
+      method: 'PUT',
+      body: JSON.stringify({ productId })
+    });
+  }
+
+  async getUnreadMessageCount() {
+    return await this.request('/messages/unread-count');
+  }
+
   // User methods
   async getUserProfile() {
     return await this.request('/users/profile');
@@ -207,11 +490,23 @@ class CarnivalAPI {
     });
   }
 
+  // locale: 'nl' | 'fr' | 'en'; emailPreferences: { orders, messages, favorites }
+  async updateEmailSettings({ locale, emailPreferences }) {
+    return await this.updateUserProfile({ locale, emailPreferences });
+  }
+
   async changePassword(currentPassword, newPassword) {
-    return await this.request('/users/change-password', {
+    const response = await this.request('/users/change-password', {
       method: 'PUT',
       body: JSON.stringify({ currentPassword, newPassword })
     });
+
+    // Every other session ends with a password change
+    if (response.token) {
+      this.setSession(response);
+    }
+
+    return response;
   }
 
   async getUserDashboard() {
@@ -222,6 +517,237 @@ class CarnivalAPI {
     return await this.request(`/users/${userId}/public`);
   }
 
+  // Favorites (watched listings)
+  async getFavorites(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/favorites?${queryString}` : '/favorites';
+    return await this.request(endpoint);
+  }
+
+  async getFavoriteIds() {
+    return await this.request('/favorites/ids');
+  }
+
+  async addFavorite(productId) {
+    return await this.request(`/favorites/${productId}`, { method: 'POST' });
+  }
+
+  async removeFavorite(productId) {
+    return await this.request(`/favorites/${productId}`, { method: 'DELETE' });
+  }
+
+  // Saved searches: filters as for getProducts (without sort and paging),
+  // frequency 'immediate' or 'daily'
+  async getSavedSearches() {
+    return await this.request('/saved-searches');
+  }
+
+  async createSavedSearch(name, filters = {}, frequency = 'daily') {
+    return await this.request('/saved-searches', {
+      method: 'POST',
+      body: JSON.stringify({ name, filters, frequency })
+    });
+  }
+
+  async updateSavedSearch(id, updates) {
+    return await this.request(`/saved-searches/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  }
+
+  async deleteSavedSearch(id) {
+    return await this.request(`/saved-searches/${id}`, { method: 'DELETE' });
+  }
+
+  async runSavedSearch(id, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/saved-searches/${id}/results?${queryString}` : `/saved-searches/${id}/results`;
+    return await this.request(endpoint);
+  }
+
+  // Token from the link in an alert email; works signed out
+  async unsubscribeSavedSearch(token) {
+    return await this.request('/saved-searches/unsubscribe', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    });
+  }
+
+  // Reviews (photo is an optional File)
+  async createReview(orderId, rating, text, photo = null) {
+    const formData = new FormData();
+    formData.append('orderId', orderId);
+    formData.append('rating', rating);
+    formData.append('text', text);
+    if (photo) {
+      formData.append('image', photo);
+    }
+
+    return await this.request('/reviews', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.token}` },
+      body: formData
+    });
+  }
+
+  async getSellerReviews(userId, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/reviews/seller/${userId}?${queryString}` : `/reviews/seller/${userId}`;
+    return await this.request(endpoint);
+  }
+
+  async replyToReview(reviewId, reply) {
+    return await this.request(`/reviews/${reviewId}/reply`, {
+      method: 'PUT',
+      body: JSON.stringify({ reply })
+    });
+  }
+
+  // Reports and notifications
+  async reportContent(targetType, targetId, reason, details = '') {
+    return await this.request('/reports', {
+      method: 'POST',
+      body: JSON.stringify({ targetType, targetId, reason, details })
+    });
+  }
+
+  async getMyReports(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/reports/mine?${queryString}` : '/reports/mine';
+    return await this.request(endpoint);
+  }
+
+  async getNotifications(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/notifications?${queryString}` : '/notifications';
+    return await this.request(endpoint);
+  }
+
+  async getUnreadNotificationCount() {
+    return await this.request('/notifications/unread-count');
+  }
+
+  async markNotificationRead(id) {
+    return await this.request(`/notifications/${id}/read`, { method: 'PUT' });
+  }
+
+  async markAllNotificationsRead() {
+    return await this.request('/notifications/read-all', { method: 'PUT' });
+  }
+
+  // Admin console (platform admins; group moderators only get the listing,
+  // review and report calls)
+  async adminList(resource, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/admin/${resource}?${queryString}` : `/admin/${resource}`;
+    return await this.request(endpoint);
+  }
+
+  async setUserActive(userId, isActive, reason) {
+    return await this.request(`/admin/users/${userId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ isActive, reason })
+    });
+  }
+
+  // 'member' or 'admin'; group moderators are group admins (setGroupMemberRole)
+  async setUserRole(userId, role) {
+    return await this.request(`/admin/users/${userId}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role })
+    });
+  }
+
+  async reviewCarnivalGroup(groupId, status, note = '') {
+    return await this.request(`/admin/groups/${groupId}/review`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, note })
+    });
+  }
+
+  async setGroupVerified(groupId, verified) {
+    return await this.request(`/admin/groups/${groupId}/verification`, {
+      method: 'PUT',
+      body: JSON.stringify({ verified })
+    });
+  }
+
+  async setProductHidden(productId, isHidden, reason) {
+    return await this.request(`/admin/products/${productId}/visibility`, {
+      method: 'PUT',
+      body: JSON.stringify({ isHidden, reason })
+    });
+  }
+
+  async setReviewHidden(reviewId, isHidden, reason) {
+    return await this.request(`/admin/reviews/${reviewId}/visibility`, {
+      method: 'PUT',
+      body: JSON.stringify({ isHidden, reason })
+    });
+  }
+
+  async resolveReport(reportId, status, note = '') {
+    return await this.request(`/admin/reports/${reportId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, note })
+    });
+  }
+
+  async setProductFeatured(productId, isFeatured) {
+    return await this.request(`/admin/products/${productId}/featured`, {
+      method: 'PUT',
+      body: JSON.stringify({ isFeatured })
+    });
+  }
+
+  // Live updates (Server-Sent Events). handlers maps event names such as
+  // 'message:new', 'message:read', 'order:status' and 'notification:new' to callbacks.
+  // Returns a function that closes the stream.
+  subscribe(handlers = {}) {
+    if (!this.token) {
+      throw new Error('Login required to receive live updates');
+    }
+
+    let source = null;
+    let closed = false;
+
+    const connect = async () => {
+      // EventSource can't send headers, so the stream is opened with a
+      // short-lived ticket in the query string instead of the access token
+      try {
+        const { ticket } = await this.request('/events/ticket', { method: 'POST' });
+        if (closed) return;
+        source = new EventSource(`${this.baseURL}/events?ticket=${encodeURIComponent(ticket)}`);
+      } catch (error) {
+        if (handlers.error) {
+          handlers.error(new Error('Live updates disconnected'));
+        }
+        return;
+      }
+
+      Object.entries(handlers).forEach(([event, handler]) => {
+        if (event !== 'error') {
+          source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+        }
+      });
+
+      source.onerror = () => {
+        // The browser reconnects on its own unless the server refused us,
+        // which happens once the ticket has expired: get a new one
+        if (source.readyState !== EventSource.CLOSED || closed) return;
+        setTimeout(connect, 1000);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      if (source) source.close();
+    };
+  }
+
   // Helper method to check if user is authenticated
   isAuthenticated() {
     return !!this.token;
@@ -229,9 +755,10 @@ class CarnivalAPI {
 
   // Helper method to handle API errors in UI
   handleError(error) {
-    if (error.message.includes('Token expired') || error.message.includes('Invalid token')) {
-      this.clearToken();
-      window.location.href = '/login'; // Redirect to login
+    // request() already tried to refresh the session; if that failed too the
+    // user has to log in again
+    if (!this.token) {
+      window.dispatchEvent(new CustomEvent('carnival:session-expired'));
     }
     return error.message;
   }
@@ -305,13 +832,16 @@ const CarnivalUI = {
       if (signupBtn) signupBtn.style.display = 'none';
       if (sellBtn) sellBtn.style.display = 'inline-block';
 
-      // Show user greeting
-      const userGreeting = document.createElement('span');
-      userGreeting.textContent = `Welcome, ${user.firstName}!`;
-      userGreeting.style.marginRight = '15px';
-      
-      if (loginBtn && loginBtn.parentNode) {
-        loginBtn.parentNode.insertBefore(userGreeting, loginBtn);
+      // Show user greeting (once, index.html may have added it already)
+      if (!document.querySelector('.user-greeting')) {
+        const userGreeting = document.createElement('span');
+        userGreeting.className = 'user-greeting';
+        userGreeting.textContent = `Welcome, ${user.firstName}!`;
+        userGreeting.style.marginRight = '15px';
+
+        if (loginBtn && loginBtn.parentNode) {
+          loginBtn.parentNode.insertBefore(userGreeting, loginBtn);
+        }
       }
     } else {
       // Show login/signup, hide sell button